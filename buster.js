@@ -6,6 +6,6 @@ exports.Browser = {
         "node_modules/culljs/lib/cull.js",
         "node_modules/dome/lib/dome.js"
     ],
-    sources: ["lib/uinit.js"],
+    sources: ["lib/uinit.js", "lib/uinit-testing.js"],
     tests: ["test/*-test.js"]
 };
@@ -0,0 +1,154 @@
+/*global uinit, cull, when*/
+/**
+ * @author Christian Johansen (christian@cjohansen.no)
+ * @license MIT
+ *
+ * Copyright (c) 2013 Christian Johansen
+ */
+this.uinit.testing = (function (C) {
+    function noop() {}
+
+    /** Returns a data function that produces `value`, or rejects with it */
+    function stubbed(value, rejected) {
+        return function () {
+            return rejected ? when.reject(value) : value;
+        };
+    }
+
+    /**
+     * Wrap the action `fn` so that the arguments of every call are recorded
+     * in `calls` under `name`. Anything but functions (e.g. the `null` action
+     * of features with a `loader`, see `recordLoader`) is returned as is.
+     */
+    function record(calls, name, fn) {
+        if (typeof fn !== "function") { return fn; }
+
+        return function () {
+            calls[name] = calls[name] || [];
+            calls[name].push([].slice.call(arguments));
+            return fn.apply(this, arguments);
+        };
+    }
+
+    /**
+     * Wrap the `loader` of a feature so that calls to the action it loads are
+     * recorded like calls to other actions. Loaders that are already wrapped
+     * are returned as is.
+     */
+    function recordLoader(calls, name, loader) {
+        if (typeof loader !== "function" || loader.recorded) { return loader; }
+
+        var wrapped = function () {
+            return when(loader.apply(this, arguments), function (action) {
+                return record(calls, name, action);
+            });
+        };
+        wrapped.recorded = true;
+        return wrapped;
+    }
+
+    /** Returns true if `result` is a promise that has not settled yet */
+    function isPending(result) {
+        var pending = true;
+        when(result, function () { pending = false; }, function () {
+            pending = false;
+        });
+        return pending;
+    }
+
+    /** The results of all data, features and feature instances in `app` */
+    function results(app) {
+        return C.reduce(function (all, feature) {
+            return all.concat([feature.result], C.map(C.prop("result"),
+                                                      feature.instances || []));
+        }, [], C.values(app.features));
+    }
+
+    /** Returns a promise that resolves when `app` is not trying features */
+    function whenIdle(app) {
+        if (!app.passes) { return when(); }
+        var deferred = when.defer();
+        app.once("idle", function () { deferred.resolve(); });
+        return deferred.promise;
+    }
+
+    /**
+     * Wait until `app` is idle and all promises from its data and features
+     * have settled, including the ones started while waiting.
+     */
+    function flush(app) {
+        return whenIdle(app).then(function () {
+            return when.all(C.map(function (result) {
+                return when(result, noop, noop);
+            }, results(app)));
+        }).then(function () {
+            if (app.passes > 0 || C.some(isPending, results(app))) {
+                return flush(app);
+            }
+        });
+    }
+
+    /** Normalize the arguments to `app.data` and `app.feature` */
+    function normalize(name, fn, opt) {
+        if (typeof name === "function") { return [name.name, name, fn]; }
+        return [name, fn, opt];
+    }
+
+    /**
+     * Create an app for tests. It works like `uinit(options)`, but data tasks
+     * can be stubbed, calls to data and features are recorded, and `flush`
+     * waits for all pending work.
+     */
+    function createApp(options) {
+        var app = uinit(options), stubs = {}, calls = {};
+        var data = app.data, feature = app.feature;
+
+        app.data = function (name, fn, opt) {
+            var args = normalize(name, fn, opt);
+            return data.call(this, args[0], record(calls, args[0],
+                                                   stubs[args[0]] || args[1]),
+                             args[2]);
+        };
+
+        app.feature = function (name, fn, opt) {
+            var args = normalize(name, fn, opt);
+            if (args[2] && args[2].loader) {
+                args[2].loader = recordLoader(calls, args[0], args[2].loader);
+            }
+            return feature.call(this, args[0], record(calls, args[0], args[1]),
+                                args[2]);
+        };
+
+        function stub(name, fn) {
+            stubs[name] = fn;
+            if (app.features[name]) { app.replace(name, fn); }
+        }
+
+        app.stubData = function (name, value) {
+            stub(name, stubbed(value));
+        };
+
+        app.rejectData = function (name, error) {
+            stub(name, stubbed(error, true));
+        };
+
+        app.flush = function () {
+            return flush(this);
+        };
+
+        app.calls = function (name) {
+            return (calls[name] || []).slice();
+        };
+
+        app.state = function (name) {
+            var node = C.first(function (n) {
+                return n.name === name;
+            }, this.graph().nodes);
+            return node ? node.state : "unknown";
+        };
+
+        return app;
+    }
+
+    return { app: createApp };
+}(cull));
@@ -1,30 +1,289 @@
-/*global dome, cull, bane, when, uinit*/
+/*global dome, cull, bane, when, uinit, MutationObserver, console, performance,
+  IntersectionObserver, requestIdleCallback, cancelIdleCallback,
+  AbortController*/
 /**
  * @author Christian Johansen (christian@cjohansen.no)
  * @license MIT
  *
  * Copyright (c) 2013 Christian Johansen
  */
-this.uinit = function () {
+this.uinit = function (options) {
     var C = cull;
 
+    /** Returns true if `dep` is listed in the feature's `optional` option */
+    function isOptional(feature, dep) {
+        return C.indexOf(dep, feature.optional || []) >= 0;
+    }
+
     /**
      * Check if `feature` has all its dependencies satiesfied in the `features`
      * object (which uses feature/dependency names as keys, feature descriptions
-     * as values).
+     * as values). If `ignoreOptional` is true, optional dependencies are
+     * considered satiesfied whether they are loaded or not.
      */
-    function dependenciesSatiesfied(features, feature) {
+    function dependenciesSatiesfied(features, feature, ignoreOptional) {
         return C.reduce(function (satiesfied, dep) {
-            return satiesfied && features[dep] && features[dep].loaded;
+            return satiesfied && ((features[dep] && features[dep].loaded) ||
+                                  (ignoreOptional && isOptional(feature, dep)));
         }, true, feature.depends || []);
     }
 
     /**
-     * Return an array of "results" (return-values and/or resolved values from
-     * returned promises) of the features listed in `dependencies`.
+     * Return the "result" (return-value and/or resolved value from returned
+     * promise) of a feature. Features that depend on elements have one
+     * instance per element, and their result is the list of results from all
+     * their loaded instances.
+     */
+    function featureResult(feature) {
+        if (!feature.elements) { return feature.result; }
+        return when.all(C.map(C.prop("result"), C.select(function (instance) {
+            return instance.result || feature.nullable;
+        }, feature.instances)));
+    }
+
+    /** Returns true if `name` is not a data task or feature */
+    function isEnvName(app, name) {
+        return !app.features[name] || !app.features[name].action;
+    }
+
+    /** Returns true if `feature` can be evaluated once per env scope (data) */
+    function isScopable(feature) {
+        return !!feature.action && !feature.elements &&
+            !!(feature.lazy || feature.wasLazy);
+    }
+
+    /**
+     * Parse an env attribute into the name and value of an env var. The value
+     * is coerced with one of `uinit.types`, either from a `.<type>` suffix on
+     * the attribute name (e.g. `data-env-limit.number`), or the type declared
+     * with `app.declareEnv`. Returns null if the attribute does not have the
+     * prefix, and an object with the name and an `error` if the value could
+     * not be coerced.
+     */
+    function envAttr(app, prefix, attr) {
+        if (attr.nodeName.indexOf(prefix) !== 0) { return null; }
+        var name = attr.nodeName.slice(prefix.length);
+        var dot = name.lastIndexOf("."), type;
+
+        if (dot > 0 && uinit.types.hasOwnProperty(name.slice(dot + 1))) {
+            type = name.slice(dot + 1);
+            name = name.slice(0, dot);
+        } else {
+            type = app.envSpecs[name] && app.envSpecs[name].type;
+        }
+
+        try {
+            return {
+                name: name,
+                value: type ? uinit.types[type](attr.nodeValue) : attr.nodeValue
+            };
+        } catch (e) {
+            return { name: name, error: e };
+        }
+    }
+
+    function envError(app, name, error) {
+        app.emit("error", { name: name, type: "Env" }, error);
+    }
+
+    /** Checks for values of the built-in types, see `app.declareEnv` */
+    var typeChecks = {
+        string: function (v) { return typeof v === "string"; },
+        number: function (v) { return typeof v === "number" && !isNaN(v); },
+        boolean: function (v) { return typeof v === "boolean"; }
+    };
+
+    /**
+     * Check `value` against the declared spec for the env var `name`. Returns
+     * an error describing the problem, or null if the value is acceptable.
+     * Custom types are not checked, only converted from attribute values.
+     */
+    function validateEnv(app, name, value) {
+        var spec = app.envSpecs[name];
+        if (!spec) { return null; }
+
+        if (value === null || value === undefined) {
+            return spec.required ?
+                    new TypeError("Env var " + name + " is required") : null;
+        }
+
+        var check = typeChecks[spec.type];
+        if (check && !check(value)) {
+            return new TypeError("Expected env var " + name + " to be " +
+                                 spec.type + ", but got " + typeof value);
+        }
+
+        try {
+            if (spec.validate && !spec.validate(value)) {
+                return new Error("Invalid value for env var " + name);
+            }
+        } catch (e) {
+            return e;
+        }
+
+        return null;
+    }
+
+    /** Report declared, required env vars that have not been set */
+    function reportMissingEnv(app) {
+        C.doall(function (name) {
+            var value = app.env[name];
+            if (app.envSpecs[name].required &&
+                    (value === null || value === undefined)) {
+                envError(app, name, new Error("Env var " + name +
+                                              " is required, but not set"));
+            }
+        }, C.keys(app.envSpecs));
+    }
+
+    /**
+     * Find the value of the env var `name` declared in an attribute on
+     * `element` or its closest ancestor (see `app.scopeEnvAttrs`). Returns an
+     * object with the value, or null if no element declares it. Values that
+     * cannot be coerced to their type or fail validation are reported once,
+     * and otherwise treated as missing.
+     */
+    function scopedEnv(app, name, element) {
+        if (!isEnvName(app, name)) { return null; }
+        var scope = app.envScope, el, attrs, attr, value, i, l;
+
+        for (el = element; el && el.getAttribute; el = el.parentNode) {
+            attrs = el.attributes;
+
+            for (i = 0, l = attrs.length; i < l; ++i) {
+                attr = envAttr(app, scope.prefix, attrs.item(i));
+                if (!attr || attr.name !== name) { continue; }
+
+                if (!attr.error) {
+                    value = scope.filter ? scope.filter(attr.value) : attr.value;
+                    attr.error = validateEnv(app, name, value);
+                }
+
+                if (attr.error) {
+                    if (C.indexOf(attrs.item(i), scope.failed) < 0) {
+                        scope.failed.push(attrs.item(i));
+                        envError(app, name, attr.error);
+                    }
+                    return null;
+                }
+
+                return { value: value };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Identify the scope of `element` for the data `feature`: the values of the
+     * scoped env vars the data (indirectly) depends on. Returns an empty string
+     * when the data only depends on global values.
+     */
+    function scopeKey(app, feature, element) {
+        var values = [], seen = [];
+
+        function collect(f) {
+            C.doall(function (dep) {
+                if (C.indexOf(dep, seen) >= 0) { return; }
+                seen.push(dep);
+                var scoped = scopedEnv(app, dep, element);
+                if (scoped) {
+                    values.push([dep, scoped.value]);
+                } else if (app.features[dep] && isScopable(app.features[dep])) {
+                    collect(app.features[dep]);
+                }
+            }, f.depends || []);
+        }
+
+        collect(feature);
+        return values.length > 0 ? JSON.stringify(values) : "";
+    }
+
+    /** Returns true if the dependency `name` can be resolved for `element` */
+    function resolvable(app, name, element, seen) {
+        var feature = app.features[name];
+        if (!app.envScope || !element) { return !!(feature && feature.loaded); }
+        if (scopedEnv(app, name, element)) { return true; }
+        if (!feature) { return false; }
+
+        if (isScopable(feature) && scopeKey(app, feature, element)) {
+            seen = seen || [];
+            if (C.indexOf(name, seen) >= 0) { return false; }
+            return C.all(function (dep) {
+                return isOptional(feature, dep) ||
+                    resolvable(app, dep, element, seen.concat(name));
+            }, feature.depends || []);
+        }
+
+        return !!feature.loaded;
+    }
+
+    /**
+     * Resolve the dependency `name` for `element`. Env vars declared in
+     * attributes on the element or its ancestors take precedence over global
+     * ones, and data depending on such env vars is called once per distinct
+     * scope. Otherwise, this is the global result of the dependency.
+     */
+    function resolveDependency(app, name, element) {
+        var feature = app.features[name];
+        if (!app.envScope || !element) { return featureResult(feature); }
+
+        var scoped = scopedEnv(app, name, element);
+        if (scoped) { return scoped.value; }
+        var key = isScopable(feature) ? scopeKey(app, feature, element) : "";
+        if (!key) { return featureResult(feature); }
+
+        feature.scopes = feature.scopes || {};
+        if (!feature.scopes.hasOwnProperty(key)) {
+            var args = dependencyResults(app, feature, element);
+            feature.scopes[key] = when.all(args).then(function (materialized) {
+                var result = callAction(app, feature, materialized, createRun());
+                return when(result, function (value) {
+                    if (!value && !feature.nullable) {
+                        throw new Error(name + " produced no value, " +
+                                        "but is not nullable");
+                    }
+                    return value;
+                });
+            });
+        }
+
+        return feature.scopes[key];
+    }
+
+    /**
+     * Return an array of results of the dependencies of `feature`, when loading
+     * it for `element` (if any). Optional dependencies that are not loaded, or
+     * that fail to materialize, produce `undefined`. The errors of the latter
+     * are emitted for the dependency, as they are not passed on to `feature`.
+     */
+    function dependencyResults(app, feature, element) {
+        return C.map(function (dep) {
+            if (!isOptional(feature, dep)) {
+                return resolveDependency(app, dep, element);
+            }
+            if (!resolvable(app, dep, element)) { return undefined; }
+            return when(resolveDependency(app, dep, element), null, function (e) {
+                app.emit("error", app.features[dep], e);
+            });
+        }, feature.depends || []);
+    }
+
+    /**
+     * Returns true if the previous result of `feature` may be reused when its
+     * input has not changed, according to its `cache` option (see
+     * `app.data`). Results are cached from when the action is called, and
+     * rejected results are not reused. Hydrated results (see `app.hydrate`)
+     * are reused until the action is called.
      */
-    function dependencyResults(features, deps) {
-        return C.map(function (dep) { return features[dep].result; }, deps);
+    function isCached(feature) {
+        if (feature.elements) { return false; }
+        if (feature.hydrated) { return true; }
+        if (!feature.cache || typeof feature.cachedAt !== "number") {
+            return false;
+        }
+        var ttl = feature.cache.ttl;
+        return typeof ttl !== "number" || now() - feature.cachedAt < ttl;
     }
 
     function cacheCall(feature, args) {
@@ -44,61 +303,731 @@ this.uinit = function () {
         return true;
     }
 
+    /**
+     * Tear down a feature instance. Features clean up either through a
+     * `dispose` option, which is called with the instance's (resolved) result
+     * and its element, or by returning an object with a `dispose` method.
+     */
+    function dispose(app, feature, instance) {
+        when(instance.result, function (result) {
+            try {
+                if (typeof feature.dispose === "function") {
+                    feature.dispose(result, instance.element);
+                } else if (result && typeof result.dispose === "function") {
+                    result.dispose();
+                }
+            } catch (e) {
+                app.emit("error", feature, e);
+            }
+        });
+        app.emit("unloaded", feature, instance.element);
+    }
+
+    /**
+     * Remove the instances of `feature` that match `pred` and dispose them.
+     * Returns the removed instances.
+     */
+    function disposeInstances(app, feature, pred) {
+        var instances = C.select(pred, feature.instances);
+        feature.instances = C.reject(pred, feature.instances);
+        C.doall(C.partial(dispose, app, feature), instances);
+        return instances;
+    }
+
+    /**
+     * Returns true if `element` is inside `context`. Without a context, every
+     * element (including no element at all) is considered inside it.
+     */
+    function withinContext(context, element) {
+        if (!context) { return true; }
+        return !!element && (element === context || context.contains(element));
+    }
+
+    /**
+     * Reject the promise returned from a feature if it does not settle within
+     * the feature's `timeout` (or the app's default timeout) in milliseconds.
+     */
+    function withTimeout(app, feature, result) {
+        var ms = typeof feature.timeout === "number" ?
+                feature.timeout : app.options.timeout;
+        if (!ms || !when.isPromise(result)) { return result; }
+
+        var deferred = when.defer();
+        var timer = setTimeout(function () {
+            var error = new Error(feature.name + " timed out after " + ms + "ms");
+            error.timeout = ms;
+            app.emit("timeout", feature, error);
+            deferred.reject(error);
+        }, ms);
+
+        when(result, function (value) {
+            clearTimeout(timer);
+            deferred.resolve(value);
+        }, function (error) {
+            clearTimeout(timer);
+            deferred.reject(error);
+        });
+
+        return deferred.promise;
+    }
+
+    /**
+     * Returns the number of milliseconds to wait before retry number `attempt`
+     * (starting at 1) according to a `retry` policy.
+     */
+    function retryDelay(retry, attempt) {
+        var delay = retry.delay || 0;
+        if (typeof retry.backoff === "function") {
+            return retry.backoff(attempt, delay);
+        }
+        if (retry.backoff === "exponential") {
+            return delay * Math.pow(2, attempt - 1);
+        }
+        if (retry.backoff === "linear") { return delay * attempt; }
+        return delay;
+    }
+
+    /**
+     * Normalize the `retry` option of `feature` to an object with the number
+     * of `attempts`, which defaults to 3. Returns null if the feature is not
+     * retried, and throws if the option is invalid.
+     */
+    function retryPolicy(feature) {
+        var retry = feature.retry;
+        if (retry === undefined || retry === null || retry === false) {
+            return null;
+        }
+        if (typeof retry === "number") { retry = { attempts: retry }; }
+        var attempts = retry && retry.hasOwnProperty("attempts") ?
+                retry.attempts : 3;
+        if (typeof retry !== "object" || typeof attempts !== "number" ||
+                !(attempts > 0)) {
+            throw new TypeError("Invalid retry option for " + feature.name +
+                                ": " + feature.retry);
+        }
+        return {
+            attempts: attempts,
+            delay: retry.delay,
+            backoff: retry.backoff,
+            shouldRetry: retry.shouldRetry
+        };
+    }
+
+    /**
+     * Call the feature's action with `args`. If it returns a promise that
+     * rejects, the action is called again according to the feature's `retry`
+     * option, and the returned promise resolves with the first successful
+     * attempt. Data tasks are subject to the app's `concurrency` limit, see
+     * `limitConcurrency`. The action is called with `run` (see `startRun`) as
+     * `this`, and is not retried once the run is superseded.
+     */
+    function callAction(app, feature, args, run) {
+        function attempt() {
+            return limitConcurrency(app, feature, function () {
+                return withTimeout(app, feature, feature.action.apply(run, args));
+            });
+        }
+
+        var retry = retryPolicy(feature);
+        var result = attempt();
+        if (!retry || !when.isPromise(result)) { return result; }
+
+        var deferred = when.defer(), attempts = 1;
+
+        function settle(promise) {
+            when(promise, function (value) {
+                deferred.resolve(value);
+            }, function (error) {
+                if (attempts >= retry.attempts || run.signal.aborted ||
+                    (retry.shouldRetry && !retry.shouldRetry(error))) {
+                    return deferred.reject(error);
+                }
+                app.emit("retry", feature, error, attempts);
+                setTimeout(function () {
+                    attempts += 1;
+                    try {
+                        settle(attempt());
+                    } catch (e) {
+                        settle(when.reject(e));
+                    }
+                }, retryDelay(retry, attempts));
+            });
+        }
+
+        settle(result);
+        return deferred.promise;
+    }
+
+    /**
+     * The priority of `feature`: its `priority` option, or the highest
+     * priority among the features that (indirectly) depend on it. This way,
+     * the data needed by high priority features is also loaded early.
+     */
+    function priorityOf(app, feature) {
+        if (typeof feature.priority === "number") { return feature.priority; }
+        return C.reduce(function (priority, f) {
+            return typeof f.priority === "number" ?
+                    Math.max(priority, f.priority) : priority;
+        }, 0, dependingOn([feature.name], app.features));
+    }
+
+    /**
+     * Sort `features` by priority, highest first. Features with the same
+     * priority keep their order.
+     */
+    function byPriority(app, features) {
+        var hasPriority = C.some(function (feature) {
+            return typeof feature.priority === "number";
+        }, C.values(app.features));
+        if (!hasPriority) { return features; }
+        var entries = [], i, l;
+
+        for (i = 0, l = features.length; i < l; ++i) {
+            entries.push({
+                feature: features[i],
+                index: i,
+                priority: priorityOf(app, features[i])
+            });
+        }
+
+        entries.sort(function (a, b) {
+            return (b.priority - a.priority) || (a.index - b.index);
+        });
+
+        return C.map(C.prop("feature"), entries);
+    }
+
+    /** Run `task`, occupying a slot until its result settles */
+    function runTask(app, task) {
+        var queue = app.queue, result;
+        queue.running += 1;
+
+        function release() {
+            queue.running -= 1;
+            runQueued(app);
+        }
+
+        try {
+            result = task();
+        } catch (e) {
+            release();
+            throw e;
+        }
+
+        when(result, release, release);
+        return result;
+    }
+
+    /** Start waiting tasks, highest priority first, while there are slots */
+    function runQueued(app) {
+        var queue = app.queue, next;
+
+        while (queue.waiting.length > 0 &&
+               queue.running < app.options.concurrency) {
+            next = C.reduce(function (a, b) {
+                return b.priority > a.priority ? b : a;
+            }, queue.waiting[0], queue.waiting);
+            queue.waiting.splice(C.indexOf(next, queue.waiting), 1);
+
+            try {
+                next.deferred.resolve(runTask(app, next.task));
+            } catch (e) {
+                next.deferred.reject(e);
+            }
+        }
+    }
+
+    /**
+     * Call `task` for the data `feature` if fewer data tasks than the app's
+     * `concurrency` option are in flight. Otherwise, queue it until a running
+     * task settles, and return a promise for its result. Features are not
+     * limited, as they are usually quick to set up.
+     */
+    function limitConcurrency(app, feature, task) {
+        var queue = app.queue;
+        if (!app.options.concurrency || feature.type !== "Data") {
+            return task();
+        }
+
+        if (queue.waiting.length === 0 &&
+                queue.running < app.options.concurrency) {
+            return runTask(app, task);
+        }
+
+        var deferred = when.defer();
+        queue.waiting.push({
+            priority: priorityOf(app, feature),
+            task: task,
+            deferred: deferred
+        });
+        return deferred.promise;
+    }
+
+    /**
+     * Returns the action of `feature`, or a promise for it if the feature is
+     * registered with a `loader` (see `app.feature`). The loader is called the
+     * first time the feature loads, and again only if it failed. Once loaded,
+     * the action replaces the placeholder from `loaderAction`.
+     */
+    function loadAction(feature) {
+        if (!feature.loader || feature.actionLoaded) { return feature.action; }
+        if (feature.loadingAction) { return feature.loadingAction; }
+
+        var promise;
+        try {
+            promise = when(feature.loader());
+        } catch (e) {
+            promise = when.reject(e);
+        }
+
+        feature.loadingAction = promise.then(function (action) {
+            if (typeof action !== "function") {
+                throw new TypeError("Loader for " + feature.name + " did not " +
+                                    "produce a function (" + typeof action + ")");
+            }
+            feature.action = action;
+            feature.actionLoaded = true;
+            return action;
+        }).then(null, function (error) {
+            delete feature.loadingAction;
+            throw error;
+        });
+
+        return feature.loadingAction;
+    }
+
+    /**
+     * The action of a feature whose code has not been loaded yet. Loads the
+     * action and calls it with the same arguments.
+     */
+    function loaderAction(feature) {
+        return function () {
+            var args = arguments, run = this;
+            return when(loadAction(feature), function (action) {
+                return action.apply(run, args);
+            });
+        };
+    }
+
+    /** High resolution timestamp, when available */
+    function timestamp() {
+        return typeof performance !== "undefined" && performance.now ?
+            performance.now() : new Date().getTime();
+    }
+
+    /**
+     * Start recording metrics for loading `feature` for `element`, if the app
+     * is instrumented. Returns the entry to record the metrics in.
+     */
+    function instrument(app, feature, element) {
+        if (!app.options.instrument) { return null; }
+        var entry = { name: feature.name, element: element };
+        app.measurements.push(entry);
+        return entry;
+    }
+
+    /**
+     * Record the start or end (`edge`) of a phase of loading a feature in an
+     * entry from `instrument`. The phases are "resolve" (materializing the
+     * feature's input) and "action" (calling the feature until its result
+     * materializes). When the User Timing API is available, the start and end
+     * are also recorded as marks, and the phase as a measure.
+     */
+    function mark(entry, phase, edge) {
+        if (!entry) { return; }
+        var time = entry[phase + edge] = timestamp();
+        if (edge === "End") { entry[phase] = time - entry[phase + "Start"]; }
+
+        if (typeof performance === "undefined" || !performance.mark ||
+            !performance.measure) { return; }
+        var id = "uinit:" + entry.name +
+                (entry.element ? "#" + dome.uuid(entry.element) : "") + ":" + phase;
+        performance.mark(id + ":" + edge.toLowerCase());
+        if (edge === "End") { performance.measure(id, id + ":start", id + ":end"); }
+    }
+
+    /**
+     * Create an AbortController, or an object that works like one in browsers
+     * that do not have it.
+     */
+    function abortController() {
+        if (typeof AbortController === "function") {
+            return new AbortController();
+        }
+
+        var listeners = [];
+        var signal = {
+            aborted: false,
+            onabort: null,
+
+            addEventListener: function (type, listener) {
+                if (type === "abort") { listeners.push(listener); }
+            },
+
+            removeEventListener: function (type, listener) {
+                listeners = C.reject(function (l) {
+                    return l === listener;
+                }, listeners);
+            }
+        };
+
+        return {
+            signal: signal,
+
+            abort: function () {
+                if (signal.aborted) { return; }
+                signal.aborted = true;
+                var event = { type: "abort", target: signal };
+                if (signal.onabort) { signal.onabort(event); }
+                C.doall(function (listener) { listener(event); }, listeners);
+            }
+        };
+    }
+
+    /** Create a run: the `this` of actions, with a `signal` to abort it */
+    function createRun() {
+        var controller = abortController();
+        return {
+            signal: controller.signal,
+            abort: function () { controller.abort(); }
+        };
+    }
+
+    /**
+     * Start a new run of `feature` for `element`. The run's `signal` is
+     * aborted if the feature is loaded again for the same element before the
+     * run is done, in which case its results are discarded, and the app emits
+     * "stale".
+     */
+    function startRun(app, feature, element) {
+        var key = element ? dome.uuid(element) : "";
+        var previous = feature.runs[key];
+        var run = feature.runs[key] = createRun();
+
+        if (previous && !previous.done) {
+            previous.abort();
+            app.emit("stale", feature, element);
+        }
+
+        return run;
+    }
+
     /**
      * Mark the feature as loaded and load it when all arguments have
-     * materialized.
+     * materialized. Any previous instance of the feature for the same element
+     * is disposed before the feature is called again.
      */
     function loadFeature(app, features, feature, element) {
         if (feature.reloading) {
-            app.emit("reloading", feature);
+            app.emit("reloading", feature, element);
         } else {
-            app.emit("loading", feature);
+            app.emit("loading", feature, element);
         }
 
-        var args = dependencyResults(features, feature.depends || []);
+        var timing = instrument(app, feature, element);
+        mark(timing, "resolve", "Start");
+        var args = dependencyResults(app, feature, element);
         var deferred = when.defer();
+        var run = startRun(app, feature, element);
+        feature.state = "loading";
 
-        when.all(args).then(function (materialized) {
+        function finish() { run.done = true; }
+
+        // Superseded runs do not hold up the loading of other features
+        run.signal.addEventListener("abort", function () {
+            deferred.resolve();
+        });
+
+        when.all([when.all(args), loadAction(feature)]).then(function (resolved) {
+            if (run.signal.aborted) { return; }
+            var materialized = resolved[0];
+            mark(timing, "resolve", "End");
             var allArgs = (element ? [element] : []).concat(materialized);
             var cacheArgs = feature.serializeArgs.apply(feature, allArgs);
-            if (feature.reloading && calledBefore(feature, cacheArgs)) {
-                app.emit("skip", feature);
+            if ((feature.reloading || isCached(feature)) &&
+                    calledBefore(feature, cacheArgs)) {
+                // The previous result is still valid
+                if (feature.result || feature.nullable) { feature.loaded = true; }
+                feature.state = feature.loaded ? "loaded" : "empty";
+                finish();
+                app.emit("skip", feature, element);
                 return deferred.resolve();
             }
             cacheCall(feature, cacheArgs);
+            delete feature.hydrated;
+            if (element) { allArgs.push(elementOptions(feature.name, element)); }
+            disposeInstances(app, feature, function (instance) {
+                return instance.element === element;
+            });
+
+            try {
+                mark(timing, "action", "Start");
+                run.calling = true;
+                var result = callAction(app, feature, allArgs, run);
+                run.calling = false;
+                when(result, function () {
+                    mark(timing, "action", "End");
+                    finish();
+                }, function () {
+                    mark(timing, "action", "End");
+                    finish();
+                });
+                feature.instances.push({ element: element, result: result });
+
+                if (result || feature.nullable) {
+                    feature.loaded = true;
+                    feature.state = "loaded";
+                    feature.result = result;
+                    feature.cachedAt = now();
+                    when(result, null, function (error) {
+                        if (run.signal.aborted) { return; }
+                        feature.state = "failed";
+                        feature.error = error;
+                        delete feature.cachedAt;
+                    });
+                    app.emit("loaded", feature, result, element, materialized);
+                } else {
+                    feature.state = "empty";
+                }
+            } catch(e) {
+                run.calling = false;
+                mark(timing, "action", "End");
+                finish();
+                feature.state = "failed";
+                feature.error = e;
+                app.emit("error", feature, e, element);
+            }
+            deferred.resolve();
+        }, function (error) {
+            if (run.signal.aborted) { return; }
+            mark(timing, "resolve", "End");
+            finish();
+            feature.state = "failed";
+            feature.error = error;
+            app.emit("error", feature, error, element);
+            deferred.resolve();
+        });
+
+        return deferred.promise;
+    }
+
+    /** Returns true if `element` has the data attribute described by `spec` */
+    function hasData(spec, element) {
+        var value = dome.data.get(spec.data, element);
+        return value !== null &&
+            (!spec.hasOwnProperty("value") || value === String(spec.value));
+    }
+
+    /**
+     * Find the elements described by `spec` inside `context` (or the document
+     * if there is no context). `spec` is the `elements` option of a feature,
+     * which is either a class name, a function that returns the elements for
+     * a context, or an object with one of the properties `selector` (a CSS
+     * selector), `data` (the name of a data attribute, optionally with a
+     * `value` it must equal) or `match` (a predicate called with every element
+     * in the context).
+     */
+    function findElements(spec, context) {
+        var ctx = context || document;
+        if (typeof spec === "function") { return spec(ctx) || []; }
+        if (typeof spec !== "object" || C.isList(spec)) {
+            return dome.byClass(spec, ctx);
+        }
+        if (spec.selector) { return ctx.querySelectorAll(spec.selector); }
+        return C.select(spec.data ? C.partial(hasData, spec) : spec.match,
+                        ctx.getElementsByTagName("*"));
+    }
+
+    /**
+     * Returns true if `element` lists the feature named `name` in its
+     * `data-uinit` attribute.
+     */
+    function bindsFeature(name, element) {
+        var names = C.trim(element.getAttribute("data-uinit") || "");
+        return C.indexOf(name, names.split(/\s+/)) >= 0;
+    }
+
+    /** Find the elements in `context` that bind `feature` in markup */
+    function boundElements(feature, context) {
+        return C.select(C.partial(bindsFeature, feature.name),
+                        (context || document).querySelectorAll("[data-uinit]"));
+    }
+
+    /**
+     * Find the elements to load `feature` for in `context`: The ones matching
+     * its `elements` option (unless it is `true`), and the ones that bind the
+     * feature through their `data-uinit` attribute.
+     */
+    function featureElements(feature, context) {
+        var bound = boundElements(feature, context);
+        if (feature.elements === true) { return bound; }
+
+        var elements = [].slice.call(findElements(feature.elements, context), 0);
+        return elements.concat(C.select(function (element) {
+            return C.indexOf(element, elements) < 0;
+        }, bound));
+    }
+
+    /** Parse an option from an attribute value as JSON, or use it as is */
+    function parseOption(value) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /** Convert a dashed name to camel case, e.g. "max-items" to "maxItems" */
+    function camelize(str) {
+        return str.replace(/-([a-z])/g, function (match, chr) {
+            return chr.toUpperCase();
+        });
+    }
+
+    /**
+     * Collect the per-element options for the feature named `name` from the
+     * element's `data-uinit-<name>-<option>` attributes.
+     */
+    function elementOptions(name, element) {
+        var prefix = "data-uinit-" + name.toLowerCase() + "-";
+        var options = {}, attrs = element.attributes, attr, i, l;
+
+        for (i = 0, l = attrs.length; i < l; ++i) {
+            attr = attrs.item(i);
+            if (attr.nodeName.indexOf(prefix) === 0) {
+                options[camelize(attr.nodeName.slice(prefix.length))] =
+                    parseOption(attr.nodeValue);
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Attempt to load a feature in a given context. If the feature depends on
+     * elements, it will not be loaded if the provided context does not contain
+     * any matching elements. Passing `elements` loads the feature for those
+     * elements only, instead of searching the app's context.
+     */
+    function tryFeatureInAppContext(app, feature, elements) {
+        var load = C.partial(loadFeature, app, app.features, feature);
+        if (feature.defer) { load = C.partial(deferLoad, app, feature, load); }
+        if (feature.elements) {
+            elements = elements || featureElements(feature, app.context);
+            if (app.envScope) {
+                elements = C.select(C.partial(satiesfiedInScope, app, feature),
+                                    elements);
+            }
+            return when.all(C.map(load, elements));
+        } else {
+            reportUnbound(app, feature);
+            return load();
+        }
+    }
+
+    /**
+     * Emit an error if markup in the app's context binds `feature`, which
+     * cannot be bound to elements as it has no `elements` option.
+     */
+    function reportUnbound(app, feature) {
+        if (boundElements(feature, app.context).length === 0) { return; }
+        app.emit("error", feature, new Error(
+            "Cannot bind " + feature.name + " in markup, it has no elements option"
+        ));
+    }
+
+    /**
+     * Call `fn` at the moment described by the `defer` option of a feature:
+     * when the browser is idle (`"idle"`), when `element` enters the viewport
+     * (`"visible"`), or on the first of the given events on `element`
+     * (`{ on: "click" }`). Without an element, or without the browser APIs
+     * they need, strategies fall back to `"idle"`, which falls back to a
+     * timeout. Returns a function that cancels the call.
+     */
+    function whenDeferred(defer, element, fn) {
+        if (defer === "visible" && element &&
+                typeof IntersectionObserver === "function") {
+            var observer = new IntersectionObserver(function (entries) {
+                if (!C.some(C.prop("isIntersecting"), entries)) { return; }
+                observer.disconnect();
+                fn();
+            });
+            observer.observe(element);
+            return function () { observer.disconnect(); };
+        }
+
+        if (defer && defer.on && element) {
+            var events = C.isList(defer.on) ? defer.on : [defer.on];
+            var cancel = function () {
+                C.doall(function (event) {
+                    element.removeEventListener(event, handler);
+                }, events);
+            };
+            var handler = function () {
+                cancel();
+                fn();
+            };
+            C.doall(function (event) {
+                element.addEventListener(event, handler);
+            }, events);
+            return cancel;
+        }
+
+        if (typeof requestIdleCallback === "function") {
+            var id = requestIdleCallback(fn);
+            return function () { cancelIdleCallback(id); };
+        }
+
+        var timer = setTimeout(fn, 0);
+        return function () { clearTimeout(timer); };
+    }
+
+    /**
+     * Schedule `load` of a deferred `feature` for `element` (see
+     * `whenDeferred`). Elements the feature has been loaded for before are
+     * reloaded right away, so deferred features stay up to date with their
+     * dependencies. Features depending on the deferred one are tried once it
+     * has loaded.
+     */
+    function deferLoad(app, feature, load, element) {
+        function isElement(entry) { return entry.element === element; }
+
+        if (C.some(isElement, feature.instances)) { return load(element); }
+        if (C.some(isElement, feature.scheduled)) { return when(); }
 
-            try {
-                var result = feature.action.apply(null, allArgs);
+        var entry = { element: element };
+        feature.scheduled.push(entry);
+        app.emit("deferred", feature, element);
 
-                if (result || feature.nullable) {
-                    feature.loaded = true;
-                    feature.result = result;
-                    app.emit("loaded", feature, result);
-                }
-            } catch(e) {
-                app.emit("error", feature, e);
-            }
-            deferred.resolve();
-        }, function (error) {
-            app.emit("error", feature, error);
-            deferred.resolve();
+        entry.cancel = whenDeferred(feature.defer, element, function () {
+            feature.scheduled = C.reject(isElement, feature.scheduled);
+            load(element).then(function () { app.tryPending(); });
         });
 
-        return deferred.promise;
+        return when();
+    }
+
+    /** Cancel deferred loads for elements within `context` */
+    function cancelDeferred(app, context) {
+        C.doall(function (feature) {
+            var cancelled = C.select(function (entry) {
+                return withinContext(context, entry.element);
+            }, feature.scheduled || []);
+            feature.scheduled = C.reject(function (entry) {
+                return C.indexOf(entry, cancelled) >= 0;
+            }, feature.scheduled || []);
+            C.doall(function (entry) { entry.cancel(); }, cancelled);
+        }, C.values(app.features));
     }
 
     /**
-     * Attempt to load a feature in a given context. If the feature depends on
-     * elements, it will not be loaded if the provided context does not contain
-     * any matching elements.
+     * Returns true if the action of `feature` is being called. Its action may
+     * e.g. set env vars, which tries pending features before the action
+     * returns. The feature must not be loaded again then, as that would
+     * supersede the run that is still in progress.
      */
-    function tryFeatureInAppContext(app, feature) {
-        var load = C.partial(loadFeature, app, app.features, feature);
-        if (feature.elements) {
-            return when.all(C.map(load, dome.byClass(feature.elements, app.context)));
-        } else {
-            return load();
-        }
+    function isCalling(feature) {
+        return C.some(C.prop("calling"), C.values(feature.runs || {}));
     }
 
     /**
@@ -106,11 +1035,36 @@ this.uinit = function () {
      * feature is ready to be proactively loaded (and has not already been
      * loaded).
      */
-    function isReady(features, feature) {
+    function isReady(app, ignoreOptional, feature) {
         return !feature.lazy &&
             !feature.loaded &&
             feature.action &&
-            dependenciesSatiesfied(features, feature);
+            !isCalling(feature) &&
+            app.features[feature.name] === feature &&
+            (dependenciesSatiesfied(app.features, feature, ignoreOptional) ||
+             mightBeSatiesfiedInScope(app, feature));
+    }
+
+    /**
+     * With scoped env vars, features that depend on elements may be loaded
+     * for some elements even if their dependencies are not satiesfied
+     * globally. Whether they are is decided per element, when loading.
+     */
+    function mightBeSatiesfiedInScope(app, feature) {
+        return !!app.envScope && !!feature.elements && C.all(function (dep) {
+            var f = app.features[dep];
+            return isOptional(feature, dep) || !f || f.loaded || isScopable(f);
+        }, feature.depends || []);
+    }
+
+    /**
+     * Returns true if all required dependencies of `feature` can be resolved
+     * for `element`
+     */
+    function satiesfiedInScope(app, feature, element) {
+        return C.all(function (dep) {
+            return isOptional(feature, dep) || resolvable(app, dep, element);
+        }, feature.depends || []);
     }
 
     /** Returns true if the feature is both pending (not loaded) and lazy */
@@ -167,6 +1121,9 @@ this.uinit = function () {
             if (feature.action) {
                 feature.loaded = false;
                 delete feature.reloading;
+                delete feature.state;
+                delete feature.error;
+                delete feature.scopes;
             }
             if (feature.wasLazy) {
                 delete feature.wasLazy;
@@ -176,27 +1133,61 @@ this.uinit = function () {
     }
 
     function logPending(app, features) {
-        if (!app.listeners || !app.listeners.pending) { return; }
-        C.doall(C.bind(app, "emit", "pending"), C.select(function (f) {
+        if ((!app.listeners || !app.listeners.pending) &&
+            (!app.supervisors || app.supervisors.length === 0)) { return; }
+        C.doall(function (feature) {
+            app.emit("pending", feature, explain(app, feature.name));
+        }, C.select(function (f) {
             return !f.ready && !f.loaded && !f.reloading;
         }, features));
     }
 
     /**
-     * Keep trying to load features until there are no more features ready to
-     * load. When one feature is enabled we start from the top again as that
-     * may have enabled features that were previously not ready.
+     * Summarize the state of all data and features: the names of the ones that
+     * are loaded, failed and pending (everything else).
+     */
+    function summarize(app) {
+        var summary = { loaded: [], pending: [], failed: [] };
+
+        C.doall(function (feature) {
+            if (!feature.action) { return; }
+            var state = featureState(feature);
+            summary[summary.hasOwnProperty(state) ? state : "pending"]
+                .push(feature.name);
+        }, C.values(app.features));
+
+        return summary;
+    }
+
+    /**
+     * Keep trying to load features in `featureArr` until there are no more
+     * features ready to load. When one feature is enabled we start from the top
+     * again as that may have enabled features that were previously not ready.
+     * Features are only loaded without their optional dependencies when there
+     * are no other features ready to load. Returns a promise that resolves
+     * with a summary (see `summarize`) when no more features are ready. When
+     * no other pass is running at that point, the app emits "idle".
      */
     function tryFeatures(app, featureArr) {
         var deps = makeEager(lazyDependencies(app.features, featureArr)) || [];
-        var isReadyToLoad = C.partial(isReady, app.features);
-        var toTry = C.uniq(deps.concat(featureArr));
+        var isReadyToLoad = C.partial(isReady, app, false);
+        var isReadyWithoutOptional = C.partial(isReady, app, true);
+        var toTry = byPriority(app, C.uniq(deps.concat(featureArr)));
+        var deferred = when.defer();
+        app.passes += 1;
 
         function tryNext() {
-            var feature = C.first(isReadyToLoad, toTry);
+            var feature = C.first(isReadyToLoad, toTry) ||
+                    C.first(isReadyWithoutOptional, toTry);
             if (!feature) {
                 logPending(app, featureArr);
-                return;
+                app.passes -= 1;
+                var summary = summarize(app);
+                if (app.passes === 0) {
+                    logSummary(app, summary);
+                    app.emit("idle", summary);
+                }
+                return deferred.resolve(summary);
             }
 
             tryFeatureInAppContext(app, feature).then(function () {
@@ -213,6 +1204,272 @@ this.uinit = function () {
 
         // Start trying features
         tryNext();
+        return deferred.promise;
+    }
+
+    /**
+     * Find a dependency cycle that passes through `feature`. Returns the names
+     * along the cycle, starting and ending with the feature's own name, or
+     * null if the feature does not (indirectly) depend on itself.
+     */
+    function findCycle(features, feature) {
+        var visited = {};
+
+        function visit(current, path) {
+            var deps = current.depends || [], cycle, i, l;
+            visited[current.name] = true;
+
+            for (i = 0, l = deps.length; i < l; ++i) {
+                if (deps[i] === feature.name) { return path.concat(deps[i]); }
+                if (features[deps[i]] && !visited[deps[i]]) {
+                    cycle = visit(features[deps[i]], path.concat(deps[i]));
+                    if (cycle) { return cycle; }
+                }
+            }
+
+            return null;
+        }
+
+        return visit(feature, [feature.name]);
+    }
+
+    /**
+     * Emit an error for every dependency cycle that involves any of the
+     * features in `featureArr`. Each cycle is only reported once, through the
+     * first of its features found in `featureArr`.
+     */
+    function reportCycles(app, featureArr) {
+        var reported = [];
+
+        C.doall(function (feature) {
+            if (C.indexOf(feature.name, reported) >= 0) { return; }
+            var cycle = findCycle(app.features, feature);
+            if (!cycle) { return; }
+            reported = reported.concat(cycle);
+            var error = new Error("Dependency cycle: " + cycle.join(" -> "));
+            error.cycle = cycle;
+            app.emit("error", feature, error);
+        }, featureArr);
+    }
+
+    /**
+     * The current state of a feature: "loaded", "loading" (waiting for its
+     * input to materialize), "failed" (threw an error or its promise
+     * rejected), "empty" (produced a falsy result, but is not nullable), or
+     * "pending".
+     */
+    function featureState(feature) {
+        if (!feature.action) { return "loaded"; }
+        return feature.state || (feature.loaded ? "loaded" : "pending");
+    }
+
+    /** Build an explanation of a feature's state, see `explain` */
+    function explanation(path, reason, message, error) {
+        var result = { name: path[path.length - 1], path: path, reason: reason };
+        result.message = path.length > 1 ?
+                path[0] + " is pending: " + path.join(" -> ") + ": " + message :
+                message;
+        if (error) { result.error = error; }
+        return result;
+    }
+
+    /**
+     * Explain why the feature named `name` is (not) loaded by following its
+     * dependencies to the root cause. Returns an object with the name of the
+     * feature that is the root cause, the path of names leading to it, a
+     * `reason` and a human readable `message`.
+     */
+    function explain(app, name, path) {
+        var feature = app.features[name];
+        path = (path || []).concat(name);
+
+        if (!feature) {
+            return explanation(path, "unknown", name + " is not registered");
+        }
+
+        var state = featureState(feature);
+        if (state === "loaded") {
+            return explanation(path, "loaded", name + " is loaded");
+        }
+
+        var cycle = findCycle(app.features, feature);
+        if (cycle) {
+            return explanation(path, "cycle", "Dependency cycle: " +
+                               cycle.join(" -> "));
+        }
+
+        var blocking = C.first(function (dep) {
+            return !isOptional(feature, dep) && (!app.features[dep] ||
+                                                 featureState(app.features[dep]) !== "loaded");
+        }, feature.depends || []);
+
+        if (blocking) { return explain(app, blocking, path); }
+
+        if (state === "failed") {
+            return explanation(path, "failed", name + " failed: " +
+                               ((feature.error && feature.error.message) ||
+                                feature.error), feature.error);
+        }
+
+        if (state === "empty") {
+            return explanation(path, "empty", name + " produced no value, " +
+                               "but is not nullable");
+        }
+
+        if (state === "loading") {
+            return explanation(path, "loading", name + " is waiting for " +
+                               "its input to materialize");
+        }
+
+        if (!app.loaded) {
+            return explanation(path, "not-loaded", "The app is not loaded");
+        }
+
+        if (feature.scheduled && feature.scheduled.length > 0) {
+            return explanation(path, "deferred", name + " is deferred (" +
+                               JSON.stringify(feature.defer) + ")");
+        }
+
+        if (feature.lazy) {
+            return explanation(path, "lazy", name + " is lazy, and no " +
+                               "feature depends on it");
+        }
+
+        if (feature.elements &&
+            featureElements(feature, app.context).length === 0) {
+            return explanation(path, "no-elements", name + " has no " +
+                               "matching elements");
+        }
+
+        return explanation(path, "pending", name + " is pending");
+    }
+
+    /** Quote a string for use as an identifier in Graphviz DOT */
+    function dotId(str) {
+        return "\"" + String(str).replace(/(["\\])/g, "\\$1") + "\"";
+    }
+
+    /** Render a graph, as returned from `app.graph()`, as Graphviz DOT */
+    function toDot() {
+        return "digraph uinit {\n" + C.map(function (node) {
+            return "  " + dotId(node.name) + " [label=" +
+                dotId(node.name + " (" + node.type + ", " + node.state + ")") +
+                "];\n";
+        }, this.nodes).join("") + C.map(function (edge) {
+            return "  " + dotId(edge.from) + " -> " + dotId(edge.to) +
+                (edge.optional ? " [style=dashed]" : "") + ";\n";
+        }, this.edges).join("") + "}\n";
+    }
+
+    /**
+     * Build the dependency graph of the app: One node per environment
+     * variable, data task, feature and unknown dependency, and one edge from
+     * each feature to each of its dependencies.
+     */
+    function graph(app) {
+        var features = C.values(app.features), nodes = [], edges = [];
+
+        C.doall(function (feature) {
+            nodes.push({
+                name: feature.name,
+                type: feature.type,
+                state: featureState(feature),
+                instances: feature.instances.length
+            });
+
+            C.doall(function (dep) {
+                edges.push({
+                    from: feature.name,
+                    to: dep,
+                    optional: isOptional(feature, dep)
+                });
+
+                if (!app.features[dep] && !C.first(function (node) {
+                    return node.name === dep;
+                }, nodes)) {
+                    nodes.push({ name: dep, type: "Unknown", state: "unknown" });
+                }
+            }, feature.depends || []);
+        }, features);
+
+        return { nodes: nodes, edges: edges, toDot: toDot };
+    }
+
+    /** Describe an element for debug output, e.g. "div#main.tweets" */
+    function describeElement(element) {
+        var className = typeof element.className === "string" ?
+                C.trim(element.className) : "";
+        return element.tagName.toLowerCase() +
+            (element.id ? "#" + element.id : "") +
+            (className ? "." + className.split(/\s+/).join(".") : "");
+    }
+
+    function now() {
+        return new Date().getTime();
+    }
+
+    /**
+     * Log an app event to the debug sink (when debugging is enabled). Loading
+     * events start a timer for the feature/element pair, which is reported
+     * when the feature has loaded, was skipped or failed.
+     */
+    function debugEvent(app, event, feature, a, b, c) {
+        var debug = app.debugging;
+        if (!debug || !feature || !feature.name) { return; }
+        var element, details, key;
+
+        if (event === "loading" || event === "reloading") {
+            element = a;
+        } else if (event === "loaded") {
+            element = b;
+            details = { args: c, result: a };
+        } else if (event === "skip" || event === "unloaded" ||
+                   event === "deferred" || event === "stale") {
+            element = a;
+        } else if (event === "error") {
+            element = b;
+            details = a;
+        } else if (event === "timeout" || event === "retry") {
+            details = a;
+        } else if (event === "pending") {
+            details = a.message;
+        } else {
+            return;
+        }
+
+        var message = "[uinit] " + event + " " + feature.name +
+                (element ? " " + describeElement(element) : "");
+        key = feature.name + ":" + (element ? dome.uuid(element) : "");
+
+        if (event === "loading" || event === "reloading") {
+            debug.started[key] = now();
+        } else if (debug.started.hasOwnProperty(key) &&
+                   (event === "loaded" || event === "skip" || event === "error")) {
+            message += " (" + (now() - debug.started[key]) + "ms)";
+            delete debug.started[key];
+        }
+
+        debug.sink.log.apply(debug.sink, details === undefined ?
+                             [message] : [message, details]);
+    }
+
+    /**
+     * Log the `summary` (see `summarize`) and the state of all data and
+     * features to the debug sink (when debugging is enabled). Uses the sink's
+     * `table` method when it has one.
+     */
+    function logSummary(app, summary) {
+        var debug = app.debugging;
+        if (!debug) { return; }
+
+        var rows = C.select(function (node) {
+            return node.type === "Data" || node.type === "Feature";
+        }, graph(app).nodes);
+
+        debug.sink.log("[uinit] " + summary.loaded.length + " loaded, " +
+                       summary.pending.length + " pending, " +
+                       summary.failed.length + " failed");
+        if (typeof debug.sink.table === "function") { debug.sink.table(rows); }
     }
 
     function ensureUnique(features, name) {
@@ -232,6 +1489,43 @@ this.uinit = function () {
         }, this.depends || []);
     }
 
+    /**
+     * Returns an object with the value of `result` if it is not a promise, or
+     * a promise that has resolved. Returns null if the result is pending or
+     * rejected.
+     */
+    function settledValue(result) {
+        var settled = null;
+        when(result, function (value) { settled = { value: value }; });
+        return settled;
+    }
+
+    /**
+     * Use the `result` from a snapshot entry (see `app.snapshot`) as the
+     * result of the data `feature` for as long as its input equals the
+     * entry's `input`.
+     */
+    function hydrateData(feature, entry) {
+        if (feature.type !== "Data") { return; }
+        feature.result = entry.result;
+        feature.hydrated = true;
+        cacheCall(feature, entry.input || []);
+    }
+
+    /** Hydrate from snapshots in JSON script elements inside `element` */
+    function hydrateScripts(app, element) {
+        C.doall(function (script) {
+            if (script.type !== "application/json" ||
+                !script.hasAttribute("data-uinit-snapshot")) { return; }
+
+            try {
+                app.hydrate(JSON.parse(script.text));
+            } catch (e) {
+                app.emit("error", e);
+            }
+        }, element.getElementsByTagName("script"));
+    }
+
     function addFeature(app, feature) {
         if (!feature.hasOwnProperty("nullable")) {
             feature.nullable = true;
@@ -245,7 +1539,15 @@ this.uinit = function () {
         }
 
         feature.dependencies = getDependencies;
+        feature.instances = [];
+        feature.scheduled = [];
+        feature.runs = {};
         app.features[feature.name] = feature;
+        if (app.hydration.hasOwnProperty(feature.name)) {
+            hydrateData(feature, app.hydration[feature.name]);
+            delete app.hydration[feature.name];
+        }
+        reportCycles(app, [feature]);
         app.tryPending();
     }
 
@@ -283,15 +1585,118 @@ this.uinit = function () {
         return feature;
     }
 
-    function reload(app, dep) {
+    /**
+     * The properties the app keeps on a data task or feature, besides the
+     * options it was registered with.
+     */
+    var internalState = ["name", "action", "type", "loaded", "state", "error",
+                         "result", "instances", "scheduled", "runs",
+                         "dependencies", "reloading", "wasLazy", "scopes",
+                         "cachedAt", "hydrated", "actionLoaded",
+                         "loadingAction"];
+
+    /**
+     * Returns the options of `feature`: a copy without the state the app has
+     * added to it, and as lazy as it was registered.
+     */
+    function featureOptions(feature) {
+        var opt = C.reduce(function (opt, key) {
+            if (C.indexOf(key, internalState) < 0) { opt[key] = feature[key]; }
+            return opt;
+        }, {}, C.keys(feature));
+        if (feature.wasLazy) { opt.lazy = true; }
+        return opt;
+    }
+
+    /** Return the element nodes among `nodes` */
+    function elementNodes(nodes) {
+        return C.select(function (node) {
+            return node.nodeType === 1;
+        }, [].slice.call(nodes, 0));
+    }
+
+    /**
+     * Find the elements for `feature` in `root` that are inside any of `nodes`,
+     * and that the feature has not already been loaded for.
+     */
+    function newElements(feature, root, nodes) {
+        return C.select(function (element) {
+            return C.some(function (node) {
+                return withinContext(node, element);
+            }, nodes) && !C.first(function (instance) {
+                return instance.element === element;
+            }, feature.instances);
+        }, featureElements(feature, root));
+    }
+
+    /**
+     * Handle DOM mutations in an observed root: Dispose features for removed
+     * elements, load already loaded features for added elements, and try
+     * pending features, which may be waiting for the added elements.
+     */
+    function handleMutations(app, root, mutations) {
+        var added = [], removed = [];
+
+        C.doall(function (mutation) {
+            added = added.concat(elementNodes(mutation.addedNodes));
+            removed = removed.concat(elementNodes(mutation.removedNodes));
+        }, mutations);
+
+        C.doall(C.bind(app, "unload"), C.reject(function (node) {
+            return root.contains(node);
+        }, C.uniq(removed)));
+
+        added = C.select(function (node) {
+            return root.contains(node);
+        }, C.uniq(added));
+        if (added.length === 0) { return; }
+
+        C.doall(function (feature) {
+            var elements = newElements(feature, root, added);
+            if (elements.length > 0) {
+                tryFeatureInAppContext(app, feature, elements);
+            }
+        }, C.select(function (feature) {
+            return feature.elements && feature.loaded;
+        }, C.values(app.features)));
+
+        app.tryPending();
+    }
+
+    /**
+     * Take `feature` out of the app: cancel its deferred and in-flight loads,
+     * dispose its instances and forget its input. Env vars are unset.
+     */
+    function removeFeature(app, feature) {
+        C.doall(function (entry) { entry.cancel(); }, feature.scheduled || []);
+        C.doall(function (run) {
+            if (!run.done) { run.abort(); }
+        }, C.values(feature.runs || {}));
+        disposeInstances(app, feature, function () { return true; });
+        delete app.features[feature.name];
+        delete cacheCall.cache[feature.name];
+        if (!feature.action) { delete app.env[feature.name]; }
+    }
+
+    /**
+     * Reload the features depending on `dep`. Features in `features` are
+     * loaded again as well, without considering whether their input changed.
+     */
+    function reload(app, dep, features) {
         var toRetry = dependingOn([dep], app.features);
         reset(toRetry);
         C.doall(function (f) { f.reloading = true; }, toRetry);
-        tryFeatures(app, toRetry);
+        tryFeatures(app, (features || []).concat(toRetry));
     }
 
     appInstance = bane.createEventEmitter({
         features: {},
+        envSpecs: {},
+        options: options || {},
+        measurements: [],
+        queue: { running: 0, waiting: [] },
+        hydration: {},
+        passes: 0,
 
         env: function (name, value) {
             if (value === null || value === undefined) { return; }
@@ -299,7 +1704,9 @@ this.uinit = function () {
         },
 
         nullableEnv: function (name, value) {
-            var exists = !!this.env[name];
+            var error = validateEnv(this, name, value);
+            if (error) { return envError(this, name, error); }
+            var exists = !!this.features[name] && !this.features[name].action;
 
             // Verify uniqueness if env variable has never been set before.
             // Overwriting env vars is allowed, but writing an env var over an
@@ -310,7 +1717,12 @@ this.uinit = function () {
 
             var changed = value !== this.env[name];
             this.env[name] = value;
-            addFeature(this, { name: name, result: value, loaded: true });
+            addFeature(this, {
+                name: name,
+                type: "Env",
+                result: value,
+                loaded: true
+            });
 
             if (exists && this.loaded && changed) {
                 reload(this, name);
@@ -320,6 +1732,7 @@ this.uinit = function () {
         data: function (name, fn, opt) {
             var feature = prepareFeature(name, fn, opt);
             ensureUnique(this.features, feature.name);
+            feature.type = "Data";
             if (typeof feature.lazy !== "boolean") {
                 feature.lazy = true;
             }
@@ -332,12 +1745,16 @@ this.uinit = function () {
         feature: function (name, fn, opt) {
             var feature = prepareFeature(name, fn, opt);
             ensureUnique(this.features, feature.name);
+            if (!feature.action && typeof feature.loader === "function") {
+                feature.action = loaderAction(feature);
+            }
             if (typeof feature.action !== "function") {
                 this.emit("error", new Error("Cannot add feature " + feature.name +
                                              ", action is not a function (" +
                                              typeof feature.action + ")"));
                 return;
             }
+            feature.type = "Feature";
             addFeature(this, feature);
         },
 
@@ -350,28 +1767,236 @@ this.uinit = function () {
                 attrs = elements[i].attributes;
 
                 for (j = 0, k = attrs.length; j < k; ++j) {
-                    attr = attrs.item(j);
-                    if (attr.nodeName.indexOf(prefix) === 0) {
-                        this.env(
-                            attr.nodeName.slice(prefix.length),
-                            filter ? filter(attr.nodeValue) : attr.nodeValue
-                        );
+                    attr = envAttr(this, prefix, attrs.item(j));
+                    if (!attr) { continue; }
+
+                    if (attr.error) {
+                        envError(this, attr.name, attr.error);
+                    } else {
+                        this.env(attr.name,
+                                 filter ? filter(attr.value) : attr.value);
                     }
                 }
             }
         },
 
+        scanEnvScripts: function (element) {
+            var app = this;
+
+            C.doall(function (script) {
+                if (script.type !== "application/json" ||
+                    !script.hasAttribute("data-uinit-env")) { return; }
+                var name = script.getAttribute("data-uinit-env"), value;
+
+                try {
+                    value = JSON.parse(script.text);
+                } catch (e) {
+                    return envError(app, name, e);
+                }
+
+                if (name) { return app.env(name, value); }
+                if (!value || typeof value !== "object") {
+                    return envError(app, name, new TypeError(
+                        "Env script without a name must contain an object"
+                    ));
+                }
+
+                C.doall(function (key) {
+                    app.env(key, value[key]);
+                }, C.keys(value));
+            }, element.getElementsByTagName("script"));
+        },
+
+        declareEnv: function (name, spec) {
+            if (spec.type && !uinit.types.hasOwnProperty(spec.type)) {
+                throw new Error("Unknown env type " + spec.type);
+            }
+            this.envSpecs[name] = spec;
+
+            var value = this.env[name];
+            if (value === null || value === undefined) {
+                if (spec.hasOwnProperty("default")) {
+                    this.nullableEnv(name, spec["default"]);
+                }
+            } else {
+                var error = validateEnv(this, name, value);
+                if (error) { envError(this, name, error); }
+            }
+        },
+
+        snapshot: function () {
+            var app = this, snapshot = { env: {}, data: {} };
+
+            C.doall(function (feature) {
+                if (!feature.action) {
+                    snapshot.env[feature.name] = app.env[feature.name];
+                    return;
+                }
+                if (feature.type !== "Data" || !feature.loaded) { return; }
+                var settled = settledValue(feature.result);
+                if (!settled) { return; }
+
+                snapshot.data[feature.name] = {
+                    result: settled.value,
+                    input: cacheCall.cache[feature.name] || []
+                };
+            }, C.values(this.features));
+
+            return snapshot;
+        },
+
+        hydrate: function (snapshot) {
+            if (snapshot && snapshot.getElementsByTagName) {
+                return hydrateScripts(this, snapshot);
+            }
+            var app = this, env = snapshot.env || {}, data = snapshot.data || {};
+
+            C.doall(function (name) {
+                app.nullableEnv(name, env[name]);
+            }, C.keys(env));
+
+            C.doall(function (name) {
+                if (app.features[name]) {
+                    hydrateData(app.features[name], data[name]);
+                } else {
+                    app.hydration[name] = data[name];
+                }
+            }, C.keys(data));
+
+            this.tryPending();
+        },
+
+        debug: function (options) {
+            if (options === false) {
+                delete this.debugging;
+                return;
+            }
+
+            if (!this.debugListener) {
+                this.debugListener = C.partial(debugEvent, this);
+                this.on(this.debugListener);
+            }
+
+            options = options || {};
+            this.debugging = { sink: options.sink || console, started: {} };
+        },
+
+        metrics: function () {
+            return this.measurements.slice();
+        },
+
+        graph: function () {
+            return graph(this);
+        },
+
+        explain: function (name) {
+            return explain(this, name);
+        },
+
+        remove: function (name) {
+            var app = this, feature = this.features[name];
+            if (!feature) { throw new Error("Cannot remove unknown " + name); }
+            removeFeature(this, feature);
+            var dependents = dependingOn([name], this.features);
+            C.doall(function (f) {
+                disposeInstances(app, f, function () { return true; });
+            }, dependents);
+            reset(dependents);
+        },
+
+        replace: function (name, fn, opt) {
+            var feature = this.features[name];
+            if (!feature) { throw new Error("Cannot replace unknown " + name); }
+            if (!feature.action) {
+                throw new Error("Cannot replace env var " + name + ", use env");
+            }
+            var options = featureOptions(opt || feature);
+            if (typeof fn !== "function" && !options.loader) {
+                throw new Error("Cannot replace " + name +
+                                ", action is not a function (" + typeof fn + ")");
+            }
+
+            removeFeature(this, feature);
+            this[feature.type === "Data" ? "data" : "feature"](name, fn, options);
+            if (this.loaded && this.features[name]) {
+                reload(this, name, [this.features[name]]);
+            }
+        },
+
+        invalidate: function (name) {
+            var feature = this.features[name];
+            if (!feature) { throw new Error("Cannot invalidate unknown " + name); }
+            if (!this.loaded) { return; }
+            delete feature.cachedAt;
+            delete feature.hydrated;
+            reset([feature]);
+            reload(this, name, [feature]);
+        },
+
+        instances: function (name) {
+            var feature = this.features[name];
+            return feature && feature.instances ? feature.instances.slice() : [];
+        },
+
+        instance: function (name, element) {
+            return C.first(function (instance) {
+                return instance.element === element;
+            }, this.instances(name));
+        },
+
+        unload: function (context) {
+            var app = this;
+            cancelDeferred(this, context);
+
+            C.doall(function (feature) {
+                var disposed = disposeInstances(app, feature, function (instance) {
+                    return withinContext(context, instance.element);
+                });
+
+                if (disposed.length > 0 && feature.instances.length === 0) {
+                    feature.loaded = false;
+                    delete feature.state;
+                    delete cacheCall.cache[feature.name];
+                }
+            }, C.values(this.features));
+        },
+
+        scopeEnvAttrs: function (prefix, filter) {
+            this.envScope = { prefix: prefix, filter: filter, failed: [] };
+        },
+
         load: function (context) {
-            if (this.loaded) { reset(C.values(this.features)); }
+            if (this.loaded) {
+                cancelDeferred(this);
+                reset(C.values(this.features));
+            }
             this.loaded = true;
             this.context = context;
-            this.tryPending();
+            reportCycles(this, C.values(this.features));
+            reportMissingEnv(this);
+            return this.tryPending();
+        },
+
+        observe: function (root) {
+            if (typeof MutationObserver === "undefined") {
+                throw new Error("Cannot observe DOM, MutationObserver is not supported");
+            }
+            this.disconnect();
+            this.load(root);
+            this.observer = new MutationObserver(C.partial(handleMutations, this, root));
+            this.observer.observe(root, { childList: true, subtree: true });
+        },
+
+        disconnect: function () {
+            if (!this.observer) { return; }
+            this.observer.disconnect();
+            delete this.observer;
         },
 
         tryPending: function () {
-            if (!this.loaded) { return; }
+            if (!this.loaded) { return when(summarize(this)); }
             this.emit("init");
-            tryFeatures(this, C.values(this.features));
+            return tryFeatures(this, C.values(this.features));
         }
     });
 
@@ -379,3 +2004,23 @@ this.uinit = function () {
 };
 
 this.uinit.areEqual = function (a, b) { return a === b; };
+
+this.uinit.types = {
+    string: function (value) { return value; },
+
+    number: function (value) {
+        var number = Number(value);
+        if (/^\s*$/.test(value) || isNaN(number)) {
+            throw new TypeError("Cannot convert '" + value + "' to number");
+        }
+        return number;
+    },
+
+    boolean: function (value) {
+        if (value === "true" || value === "") { return true; }
+        if (value === "false") { return false; }
+        throw new TypeError("Cannot convert '" + value + "' to boolean");
+    },
+
+    json: function (value) { return JSON.parse(value); }
+};
@@ -54,6 +54,186 @@ buster.testCase("Application", {
         assert.calledWith(feature, this.something);
     },
 
+    "selecting elements": {
+        setUp: function () {
+            this.feature = this.spy();
+            this.el = dome.el.div({ data: { widget: "tweets" } });
+            this.root.appendChild(dome.el.div([this.el]));
+        },
+
+        "by CSS selector": function () {
+            this.app.feature("A", this.feature, {
+                elements: { selector: "div > [data-widget]" }
+            });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, this.el);
+        },
+
+        "by data attribute": function () {
+            this.app.feature("A", this.feature, { elements: { data: "widget" } });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, this.el);
+        },
+
+        "by data attribute value": function () {
+            this.root.appendChild(dome.el.div({ data: { widget: "other" } }));
+            this.app.feature("A", this.feature, {
+                elements: { data: "widget", value: "tweets" }
+            });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, this.el);
+        },
+
+        "by predicate": function () {
+            var el = this.el;
+            this.app.feature("A", this.feature, {
+                elements: { match: function (element) { return element === el; } }
+            });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, this.el);
+        },
+
+        "by finder function": function () {
+            var finder = this.stub().returns([this.el, this.something]);
+            this.app.feature("A", this.feature, { elements: finder });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(finder, this.root);
+            assert.calledTwice(this.feature);
+            assert.calledWith(this.feature, this.el);
+            assert.calledWith(this.feature, this.something);
+        },
+
+        "emits 'loaded' once per element": function () {
+            var listener = this.spy();
+            this.app.on("loaded", listener);
+            this.app.feature("A", this.stub().returns(42), {
+                elements: { selector: "div" }
+            });
+
+            this.app.load(this.root);
+
+            assert.calledThrice(listener);
+        },
+
+        "serializes elements when comparing arguments": function () {
+            this.app.feature("A", this.feature, {
+                elements: { data: "widget" },
+                depends: ["data"]
+            });
+            this.app.env("data", 42);
+            this.app.load(this.root);
+            this.app.env("data", 21);
+
+            assert.calledTwice(this.feature);
+            assert.calledWith(this.feature, this.el, 21);
+        }
+    },
+
+    "binding features in markup": {
+        setUp: function () {
+            this.feature = this.spy();
+            this.el = dome.el.div();
+            this.el.setAttribute("data-uinit", "tweetui carousel");
+            this.root.appendChild(this.el);
+        },
+
+        "calls feature for element that binds it": function () {
+            this.app.feature("tweetui", this.feature, { elements: true });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, this.el);
+        },
+
+        "calls each feature bound by element": function () {
+            var carousel = this.spy();
+            this.app.feature("tweetui", this.feature, { elements: true });
+            this.app.feature("carousel", carousel, { elements: true });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, this.el);
+            assert.calledOnceWith(carousel, this.el);
+        },
+
+        "calls feature for bound elements and elements option": function () {
+            this.app.feature("tweetui", this.feature, { elements: "something" });
+
+            this.app.load(this.root);
+
+            assert.calledTwice(this.feature);
+            assert.calledWith(this.feature, this.something);
+            assert.calledWith(this.feature, this.el);
+        },
+
+        "does not call feature twice for element": function () {
+            this.el.className = "something";
+            this.app.feature("tweetui", this.feature, { elements: "something" });
+
+            this.app.load(this.root);
+
+            assert.calledTwice(this.feature);
+        },
+
+        "passes parsed per-element options after dependencies": function () {
+            this.el.setAttribute("data-uinit-tweetui-limit", "5");
+            this.el.setAttribute("data-uinit-tweetui-show-avatars", "true");
+            this.el.setAttribute("data-uinit-tweetui-title", "Tweets");
+            this.el.setAttribute("data-uinit-carousel-speed", "2");
+            this.app.env("account", "cjno");
+            this.app.feature("tweetui", this.feature, {
+                elements: true,
+                depends: ["account"]
+            });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, this.el, "cjno", {
+                limit: 5,
+                showAvatars: true,
+                title: "Tweets"
+            });
+        },
+
+        "does not compare options when deciding to reload": function () {
+            this.el.setAttribute("data-uinit-tweetui-limit", "5");
+            this.app.data("A", function () { return "Same same"; }, { depends: ["data"] });
+            this.app.feature("tweetui", this.feature, {
+                elements: true,
+                depends: ["A"]
+            });
+            this.app.env("data", 42);
+            this.app.load(this.root);
+            this.app.env("data", 21);
+
+            assert.calledOnce(this.feature);
+        },
+
+        "emits error for bound feature without elements option": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            this.app.feature("tweetui", this.feature);
+
+            this.app.load(this.root);
+
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][0], { name: "tweetui" });
+            assert.match(listener.args[0][1], {
+                message: "Cannot bind tweetui in markup, it has no elements option"
+            });
+        }
+    },
+
     "env sets property on app": function () {
         this.app.env("something", 42);
 
@@ -155,6 +335,111 @@ buster.testCase("Application", {
         assert.calledWith(feature, "42");
     },
 
+    "scoped env vars": {
+        setUp: function () {
+            this.app.scopeEnvAttrs("data-env-");
+            this.tweets = this.spy(function (url) { return { url: url }; });
+            this.feature = this.spy();
+            this.app.data("tweets", this.tweets, { depends: ["tweets-url"] });
+            this.app.feature("list-tweets", this.feature, {
+                elements: "tweets",
+                depends: ["tweets"]
+            });
+
+            this.widget = function (url) {
+                var el = dome.el.div({ className: "tweets" });
+                var container = dome.el.div([el]);
+                if (url) { container.setAttribute("data-env-tweets-url", url); }
+                this.root.appendChild(container);
+                return el;
+            };
+        },
+
+        "resolves env var from closest ancestor": function () {
+            var el1 = this.widget("/a");
+            var el2 = this.widget("/b");
+            this.root.setAttribute("data-env-tweets-url", "/c");
+
+            this.app.load(this.root);
+
+            assert.calledTwice(this.feature);
+            assert.calledWith(this.feature, el1, { url: "/a" });
+            assert.calledWith(this.feature, el2, { url: "/b" });
+        },
+
+        "calls data once per distinct scope": function () {
+            this.widget("/a");
+            this.widget("/b");
+            this.widget("/a");
+
+            this.app.load(this.root);
+
+            assert.calledThrice(this.feature);
+            assert.calledTwice(this.tweets);
+            assert.calledWith(this.tweets, "/a");
+            assert.calledWith(this.tweets, "/b");
+        },
+
+        "falls back to global env var": function () {
+            var el1 = this.widget("/a");
+            var el2 = this.widget();
+            this.app.env("tweets-url", "/global");
+
+            this.app.load(this.root);
+
+            assert.calledWith(this.feature, el1, { url: "/a" });
+            assert.calledWith(this.feature, el2, { url: "/global" });
+        },
+
+        "does not load feature for elements without env var": function () {
+            var el = this.widget("/a");
+            this.widget();
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, el, { url: "/a" });
+        },
+
+        "filters scoped values": function () {
+            var el = this.widget("/a");
+            this.app.scopeEnvAttrs("data-env-", function (v) { return v + ".json"; });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(this.feature, el, { url: "/a.json" });
+        },
+
+        "retries scoped data": function () {
+            var clock = this.useFakeTimers();
+            var feature = this.spy(), settled = this.spy();
+            var el = this.widget("/a");
+            var data = this.stub().returns(42);
+            data.onCall(0).returns(when.reject(new Error("Oops")));
+            this.app.data("count", data, { depends: ["tweets-url"], retry: 3 });
+            this.app.feature("count-tweets", feature, {
+                elements: "tweets",
+                depends: ["count"]
+            });
+
+            this.app.load(this.root).then(settled);
+            clock.tick(0);
+
+            assert.calledTwice(data);
+            assert.calledOnceWith(feature, el, 42);
+            assert.calledOnce(settled);
+        },
+
+        "does not scope features without elements": function () {
+            var feature = this.spy();
+            this.widget("/a");
+            this.app.feature("A", feature, { depends: ["tweets-url"] });
+
+            this.app.load(this.root);
+
+            refute.called(feature);
+        }
+    },
+
     "scans context for env vars with filter": function () {
         var feature = this.spy();
         this.app.feature("Feature", feature, {
@@ -171,454 +456,2875 @@ buster.testCase("Application", {
         assert.calledWith(feature, "TEST");
     },
 
-    "runs feature with for each element with env var": function () {
-        this.root.appendChild(dome.el("div", { className: "something" }));
-        var feature = this.spy();
-        this.app.feature("Feature", feature, {
-            elements: "something",
-            depends: ["question", "answer"]
-        });
-        this.app.env("answer", 42);
-        this.app.env("question", "life");
+    "typed env attributes": {
+        setUp: function () {
+            this.el = dome.el("span");
+            this.div = dome.el("div", [this.el]);
+        },
 
-        this.app.load(this.root);
+        "coerces value by attribute suffix": function () {
+            this.el.setAttribute("data-gts-limit.number", "5");
+            this.el.setAttribute("data-gts-avatars.boolean", "false");
+            this.el.setAttribute("data-gts-config.json", '{"a":[1,2]}');
 
-        assert.calledTwice(feature);
-        assert.calledWith(feature, this.something, "life", 42);
-    },
+            this.app.scanEnvAttrs(this.div, "data-gts-");
 
-    "runs feature after run when env var is set": function () {
-        var feature = this.spy();
-        this.app.feature("Feature", feature, {
-            elements: "something",
-            depends: ["question"]
-        });
-        this.app.env("answer", 42);
-        this.app.load(this.root);
-        this.app.env("question", "life");
+            assert.same(this.app.env.limit, 5);
+            assert.isFalse(this.app.env.avatars);
+            assert.equals(this.app.env.config, { a: [1, 2] });
+        },
 
-        assert.called(feature);
-    },
+        "sets falsy typed values more than once": function () {
+            var app = this.app, div = this.div, other = dome.el("span");
+            div.appendChild(other);
+            this.el.setAttribute("data-gts-flag.boolean", "false");
+            this.el.setAttribute("data-gts-count.number", "0");
+            other.setAttribute("data-gts-flag.boolean", "false");
+            other.setAttribute("data-gts-count.number", "0");
 
-    "setting env var does not load feature when not running": function () {
-        var feature = this.spy();
-        this.app.feature("Feature", feature, {
-            depends: ["question", "answer"]
-        });
-        this.app.env("answer", 42);
-        this.app.env("question", "life");
+            refute.exception(function () {
+                app.scanEnvAttrs(div, "data-gts-");
+            });
 
-        refute.called(feature);
-    },
+            assert.isFalse(this.app.env.flag);
+            assert.same(this.app.env.count, 0);
+        },
 
-    "lazy feature is not called proactively": function () {
-        var feature = this.spy();
-        this.app.feature("Feature", feature, { lazy: true });
+        "reloads dependents when falsy typed value changes": function () {
+            var feature = this.spy();
+            this.el.setAttribute("data-gts-flag.boolean", "false");
+            this.app.scanEnvAttrs(this.div, "data-gts-");
+            this.app.feature("A", feature, { depends: ["flag"] });
+            this.app.load();
 
-        this.app.load();
+            this.el.setAttribute("data-gts-flag.boolean", "true");
+            this.app.scanEnvAttrs(this.div, "data-gts-");
 
-        refute.called(feature);
-    },
+            assert.calledTwice(feature);
+            assert.calledWith(feature, false);
+            assert.calledWith(feature, true);
+        },
 
-    "feature is called when depending on executed feature": function () {
-        var feature = this.spy();
-        this.app.feature("A", function () {});
-        this.app.feature("B", feature, { depends: ["A"] });
+        "does not strip suffix that is not a type": function () {
+            this.el.setAttribute("data-gts-api.url", "/api");
 
-        this.app.load();
+            this.app.scanEnvAttrs(this.div, "data-gts-");
 
-        assert.calledOnce(feature);
-    },
+            assert.equals(this.app.env["api.url"], "/api");
+        },
 
-    "feature is called when dependency is resolved": function () {
-        var feature = this.spy();
-        this.app.feature("A", feature, { depends: ["B"] });
-        this.app.feature("B", function () {});
+        "coerces value by declared type": function () {
+            this.app.declareEnv("limit", { type: "number" });
+            this.el.setAttribute("data-gts-limit", "5");
 
-        this.app.load();
+            this.app.scanEnvAttrs(this.div, "data-gts-");
 
-        assert.calledOnce(feature);
-    },
+            assert.same(this.app.env.limit, 5);
+        },
 
-    "features are only called once": function () {
-        var featureA = this.spy();
-        var featureB = this.spy();
-        this.app.feature("A", featureA, { depends: ["B"] });
-        this.app.feature("B", featureB);
+        "coerces before filtering": function () {
+            this.el.setAttribute("data-gts-limit.number", "5");
 
-        this.app.load();
+            this.app.scanEnvAttrs(this.div, "data-gts-", function (n) { return n * 2; });
 
-        assert.calledOnce(featureA);
-        assert.calledOnce(featureB);
-    },
+            assert.same(this.app.env.limit, 10);
+        },
 
-    "feature is called when dependency is resolved after run": function () {
-        var feature = this.spy();
-        this.app.feature("A", feature, { depends: ["B"] });
+        "emits error for value that cannot be coerced": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            this.el.setAttribute("data-gts-limit.number", "many");
 
-        this.app.load();
-        this.app.feature("B", function () {});
+            this.app.scanEnvAttrs(this.div, "data-gts-");
 
-        assert.calledOnce(feature);
-    },
+            refute("limit" in this.app.env);
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][0], { name: "limit", type: "Env" });
+            assert.match(listener.args[0][1], {
+                message: "Cannot convert 'many' to number"
+            });
+        },
 
-    "feature is called with return-value of dependency": function () {
-        var feature = this.spy();
-        this.app.feature("A", feature, { depends: ["B"] });
+        "throws when declaring unknown type": function () {
+            var app = this.app;
 
-        this.app.load();
-        this.app.feature("B", this.stub().returns(42));
+            assert.exception(function () {
+                app.declareEnv("limit", { type: "integer" });
+            });
+        },
 
-        assert.calledWith(feature, 42);
+        "coerces scoped env vars": function () {
+            var feature = this.spy();
+            this.something.setAttribute("data-gts-limit.number", "5");
+            this.app.scopeEnvAttrs("data-gts-");
+            this.app.feature("A", feature, {
+                elements: "something",
+                depends: ["limit"]
+            });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(feature, this.something, 5);
+        }
     },
 
-    "feature is not called until dependency's returned promise resolves": function () {
-        var feature = this.spy();
-        var deferred = when.defer();
-        this.app.feature("A", feature, { depends: ["B"] });
-        this.app.feature("B", this.stub().returns(deferred.promise));
+    "env script blocks": {
+        setUp: function () {
+            this.script = function (json, name) {
+                var script = document.createElement("script");
+                script.type = "application/json";
+                script.setAttribute("data-uinit-env", name || "");
+                script.text = json;
+                this.root.appendChild(script);
+                return script;
+            };
+        },
 
-        this.app.load();
+        "sets env vars from object": function () {
+            this.script('{"limit": 5, "account": {"id": 42}}');
 
-        refute.called(feature);
-        deferred.resolve(42);
-        assert.calledOnceWith(feature, 42);
-    },
+            this.app.scanEnvScripts(this.root);
 
-    "feature is not called if dependency's returned promise rejects": function () {
-        var feature = this.spy();
-        var deferred = when.defer();
-        this.app.feature("A", feature, { depends: ["B"] });
-        this.app.feature("B", this.stub().returns(deferred.promise));
+            assert.same(this.app.env.limit, 5);
+            assert.equals(this.app.env.account, { id: 42 });
+        },
 
-        this.app.load();
+        "sets named env var": function () {
+            this.script("[1, 2, 3]", "ids");
 
-        deferred.reject({});
-        refute.called(feature);
-    },
+            this.app.scanEnvScripts(this.root);
 
-    "promise rejection does not halt all feature runs": function () {
-        var feature = this.spy();
-        var deferred = when.defer();
-        this.app.feature("A", this.stub().returns(deferred.promise));
-        this.app.feature("B", this.spy(), { depends: ["A"] });
-        this.app.feature("C", feature);
+            assert.equals(this.app.env.ids, [1, 2, 3]);
+        },
 
-        this.app.load();
+        "ignores other scripts": function () {
+            this.script('{"limit": 5}').removeAttribute("data-uinit-env");
+            this.script('{"other": 5}').type = "text/template";
 
-        deferred.reject({});
-        assert.called(feature);
-    },
+            this.app.scanEnvScripts(this.root);
 
-    "feature exception does not halt runs": function () {
-        var listener = this.spy();
-        var feature = this.spy();
-        this.app.on("error", listener);
-        this.app.feature("A", this.stub().throws(new Error("Oh noes")));
-        this.app.feature("B", feature);
+            refute("limit" in this.app.env);
+            refute("other" in this.app.env);
+        },
 
-        this.app.load();
+        "emits error for invalid JSON": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            this.script("{limit: 5}", "config");
 
-        assert.calledOnce(feature);
-        assert.calledOnce(listener);
-    },
+            this.app.scanEnvScripts(this.root);
 
-    "resolves nested dependencies": function () {
-        var feature = this.spy();
-        var deferredB = when.defer();
-        var deferredC = when.defer();
-        this.app.feature("A", feature, { depends: ["B"] });
-        this.app.feature("B", this.stub().returns(deferredB.promise), {
-            depends: ["C"]
-        });
-        this.app.feature("C", this.stub().returns(deferredC.promise));
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][0], { name: "config", type: "Env" });
+        },
 
-        this.app.load();
-        deferredB.resolve(42);
-        deferredC.resolve(13);
+        "emits error for unnamed block without object": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            this.script("42");
 
-        assert.calledOnceWith(feature, 42);
+            this.app.scanEnvScripts(this.root);
+
+            assert.calledOnce(listener);
+        }
     },
 
-    "calls lazy feature when depended on": function () {
-        var feature = this.spy();
-        this.app.feature("A", feature, { lazy: true });
-        this.app.feature("B", function () {}, { depends: ["A"] });
+    "env schema": {
+        setUp: function () {
+            this.listener = this.spy();
+            this.app.on("error", this.listener);
+        },
 
-        this.app.load();
+        "rejects value of wrong type": function () {
+            this.app.declareEnv("limit", { type: "number" });
 
-        assert.calledOnce(feature);
-    },
+            this.app.env("limit", "5");
 
-    "throws exception when adding duplicate feature": function () {
-        var app = this.app;
-        app.feature("A", function () {});
+            refute("limit" in this.app.env);
+            assert.calledOnce(this.listener);
+            assert.match(this.listener.args[0][0], {
+                name: "limit",
+                type: "Env"
+            });
+            assert.match(this.listener.args[0][1], {
+                message: "Expected env var limit to be number, but got string"
+            });
+        },
 
-        assert.exception(function () { app.feature("A", function () {}); });
-    },
+        "accepts value of declared type": function () {
+            this.app.declareEnv("limit", { type: "number" });
 
-    "throws exception when adding feature duplicating env var": function () {
-        var app = this.app;
-        app.env("A", 42);
+            this.app.env("limit", 5);
 
-        assert.exception(function () { app.feature("A", function () {}); });
-    },
+            assert.equals(this.app.env.limit, 5);
+            refute.called(this.listener);
+        },
 
-    "throws if writing env data to existing feature": function () {
-        var app = this.app;
-        app.feature("A", function () {});
+        "rejects value failing validator": function () {
+            this.app.declareEnv("limit", {
+                validate: function (value) { return value > 0; }
+            });
 
-        assert.exception(function () { app.env("A", 42); });
-    },
+            this.app.env("limit", -1);
 
-    "refreshing env vars": {
-        "does not throw": function () {
-            var app = this.app;
-            app.env("A", 21);
+            refute("limit" in this.app.env);
+            assert.calledOnce(this.listener);
+        },
 
-            refute.exception(function () { app.env("A", 42); });
+        "reports error thrown by validator": function () {
+            var error = new Error("Too big");
+            this.app.declareEnv("limit", {
+                validate: function () { throw error; }
+            });
+
+            this.app.env("limit", 500);
+
+            assert.calledWith(this.listener, { name: "limit", type: "Env" },
+                              error);
         },
 
-        "causes depending modules to reload": function () {
-            var feature = this.spy();
-            this.app.feature("A", feature, { depends: ["data"] });
-            this.app.env("data", 42);
-            this.app.load();
-            this.app.env("data", 21);
+        "does not change existing value when rejecting": function () {
+            this.app.declareEnv("limit", { type: "number" });
+            this.app.env("limit", 5);
 
-            assert.calledTwice(feature);
-            assert.calledWith(feature, 42);
-            assert.calledWith(feature, 21);
+            this.app.env("limit", "lots");
+
+            assert.equals(this.app.env.limit, 5);
         },
 
-        "does not cause reload when value does not change": function () {
-            var feature = this.spy();
-            this.app.feature("A", feature, { depends: ["data"] });
-            this.app.env("data", 42);
-            this.app.load();
-            this.app.env("data", 42);
+        "rejects null for required var": function () {
+            this.app.declareEnv("account", { required: true });
 
-            assert.calledOnce(feature);
+            this.app.nullableEnv("account", null);
+
+            refute("account" in this.app.env);
+            assert.calledOnce(this.listener);
         },
 
-        "causes recursively depending modules to reload": function () {
+        "allows null for optional var": function () {
+            this.app.declareEnv("account", { type: "string" });
+
+            this.app.nullableEnv("account", null);
+
+            assert.isNull(this.app.env.account);
+            refute.called(this.listener);
+        },
+
+        "validates attribute values": function () {
+            this.app.declareEnv("limit", {
+                type: "number",
+                validate: function (value) { return value > 0; }
+            });
+            var el = dome.el("div");
+            el.setAttribute("data-gts-limit", "-1");
+
+            this.app.scanEnvAttrs(el, "data-gts-");
+
+            refute("limit" in this.app.env);
+            assert.calledOnce(this.listener);
+        },
+
+        "sets default value": function () {
+            this.app.declareEnv("limit", { type: "number", "default": 10 });
+
+            assert.equals(this.app.env.limit, 10);
+        },
+
+        "does not override existing value with default": function () {
+            this.app.env("limit", 5);
+
+            this.app.declareEnv("limit", { type: "number", "default": 10 });
+
+            assert.equals(this.app.env.limit, 5);
+        },
+
+        "overrides default value": function () {
+            this.app.declareEnv("limit", { type: "number", "default": 10 });
+
+            this.app.env("limit", 5);
+
+            assert.equals(this.app.env.limit, 5);
+        },
+
+        "overrides false default and reloads dependents": function () {
             var feature = this.spy();
-            this.app.data("A", function () { return {}; }, { depends: ["data"] });
-            this.app.feature("B", feature, { depends: ["A"] });
-            this.app.env("data", 42);
+            this.app.declareEnv("debug", { type: "boolean", "default": false });
+            this.app.feature("A", feature, { depends: ["debug"] });
             this.app.load();
-            this.app.env("data", 21);
 
+            this.app.env("debug", true);
+
+            assert.isTrue(this.app.env.debug);
             assert.calledTwice(feature);
+            assert.calledWith(feature, false);
+            assert.calledWith(feature, true);
         },
 
-        "only recursively reloads modules whose dependencies changed result": function () {
+        "overrides zero default and reloads dependents": function () {
             var feature = this.spy();
-            this.app.data("A", function () { return "Same same"; }, { depends: ["data"] });
-            this.app.feature("B", feature, { depends: ["A"] });
-            this.app.env("data", 42);
+            this.app.declareEnv("limit", { type: "number", "default": 0 });
+            this.app.feature("A", feature, { depends: ["limit"] });
             this.app.load();
-            this.app.env("data", 21);
 
-            assert.calledOnce(feature);
+            this.app.env("limit", 5);
+
+            assert.equals(this.app.env.limit, 5);
+            assert.calledTwice(feature);
+            assert.calledWith(feature, 0);
+            assert.calledWith(feature, 5);
         },
 
-        "compares serialized arguments to decide to reload": function () {
-            var feature = this.spy();
-            this.app.data("A", function () { return {}; }, { depends: ["data"] });
-            this.app.feature("B", feature, {
-                depends: ["A"],
-                serializeArgs: function (obj) {
-                    return obj.toString();
-                }
-            });
-            this.app.env("data", 42);
-            this.app.load();
-            this.app.env("data", 21);
+        "validates existing value when declared": function () {
+            this.app.env("limit", "5");
 
-            assert.calledOnce(feature);
+            this.app.declareEnv("limit", { type: "number" });
+
+            assert.calledOnce(this.listener);
         },
 
-        "does not cause depending modules to load before app is loaded": function () {
-            var feature = this.spy();
-            this.app.feature("A", feature, { depends: ["data"] });
-            this.app.env("data", 42);
-            this.app.env("data", 21);
+        "reports missing required var when loading": function () {
+            this.app.declareEnv("account", { required: true });
 
-            refute.called(feature);
+            this.app.load(this.root);
+
+            assert.calledOnce(this.listener);
+            assert.match(this.listener.args[0][1], {
+                message: "Env var account is required, but not set"
+            });
         },
 
-        "does not cause unrelated modules to reload": function () {
+        "does not report required var that is set": function () {
+            this.app.declareEnv("account", { required: true });
+            this.app.env("account", "cjno");
+
+            this.app.load(this.root);
+
+            refute.called(this.listener);
+        },
+
+        "validates scoped env attributes": function () {
+            this.app.declareEnv("limit", { type: "number" });
+            this.app.scopeEnvAttrs("data-gts-", function (value) {
+                return String(value);
+            });
+            var el = dome.el("div", { className: "something" });
+            el.setAttribute("data-gts-limit", "5");
+            this.root.appendChild(el);
             var feature = this.spy();
-            this.app.feature("A", feature);
-            this.app.env("data", 42);
-            this.app.load();
-            this.app.env("data", 21);
+            this.app.feature("list", feature, {
+                elements: "something",
+                depends: ["limit"]
+            });
 
-            assert.calledOnce(feature);
+            this.app.load(this.root);
+
+            refute.called(feature);
+            assert.calledOnce(this.listener);
         }
     },
 
-    "data registers lazy feature": function () {
-        var data = this.stub().returns({});
+    "runs feature with for each element with env var": function () {
+        this.root.appendChild(dome.el("div", { className: "something" }));
         var feature = this.spy();
-        this.app.data("somedata", data);
+        this.app.feature("Feature", feature, {
+            elements: "something",
+            depends: ["question", "answer"]
+        });
+        this.app.env("answer", 42);
+        this.app.env("question", "life");
 
-        this.app.load();
-        refute.called(data);
+        this.app.load(this.root);
 
-        this.app.feature("A", feature, { depends: ["somedata"] });
-        assert.calledOnce(data);
-        assert.calledOnce(feature);
+        assert.calledTwice(feature);
+        assert.calledWith(feature, this.something, "life", 42);
     },
 
-    "data depending on data; should not cause any load": function () {
-        var data = this.stub().returns({});
-        var data2 = this.stub().returns({});
-        this.app.data("somedata", data);
-        this.app.data("someotherdata", data2, { depends: ["somedata"] });
+    "runs feature after run when env var is set": function () {
+        var feature = this.spy();
+        this.app.feature("Feature", feature, {
+            elements: "something",
+            depends: ["question"]
+        });
+        this.app.env("answer", 42);
+        this.app.load(this.root);
+        this.app.env("question", "life");
 
-        this.app.load();
-        refute.called(data);
-        refute.called(data2);
+        assert.called(feature);
     },
 
-    "data depending on data; should be loaded when depended on by feature": function () {
-        var data = this.stub().returns({});
-        var data2 = this.stub().returns({});
+    "setting env var does not load feature when not running": function () {
         var feature = this.spy();
-        this.app.data("somedata", data);
-        this.app.data("someotherdata", data2, { depends: ["somedata"] });
-        this.app.feature("a-feature", feature, { depends: ["someotherdata"] });
+        this.app.feature("Feature", feature, {
+            depends: ["question", "answer"]
+        });
+        this.app.env("answer", 42);
+        this.app.env("question", "life");
 
-        this.app.load();
-        assert.called(feature);
-        assert.called(data);
-        assert.called(data2);
+        refute.called(feature);
     },
 
-    "data registers non-nullable feature": function () {
-        var data = this.stub().returns(null);
+    "lazy feature is not called proactively": function () {
         var feature = this.spy();
-        this.app.data("somedata", data);
-        this.app.feature("A", feature, { depends: ["somedata"] });
+        this.app.feature("Feature", feature, { lazy: true });
 
         this.app.load();
 
-        assert.called(data);
         refute.called(feature);
     },
 
-    "infers data name from function": function () {
-        var fn = function myFeature() {};
-        var feature = this.app.data(fn);
-
-        refute.isNull(this.app.features.myFeature);
-    },
+    "feature is called when depending on executed feature": function () {
+        var feature = this.spy();
+        this.app.feature("A", function () {});
+        this.app.feature("B", feature, { depends: ["A"] });
 
-    "fails if no name and anonymous function": function () {
-        var app = this.app;
+        this.app.load();
 
-        assert.exception(function () {
-            app.data(function () {});
-        });
+        assert.calledOnce(feature);
     },
 
-    "data can have dependencies as well": function () {
-        var data = this.stub().returns({});
+    "feature is called when dependency is resolved": function () {
         var feature = this.spy();
-        this.app.data("somedata", data, { depends: ["input"] });
+        this.app.feature("A", feature, { depends: ["B"] });
+        this.app.feature("B", function () {});
 
         this.app.load();
-        refute.called(data);
-
-        this.app.feature("A", feature, { depends: ["somedata"] });
-        refute.called(data);
 
-        this.app.env("input", 42);
-        assert.calledOnceWith(data, 42);
         assert.calledOnce(feature);
     },
 
-    "calling run multiple times reruns features": function () {
-        var feature = this.spy();
-        this.app.feature("A", feature);
+    "features are only called once": function () {
+        var featureA = this.spy();
+        var featureB = this.spy();
+        this.app.feature("A", featureA, { depends: ["B"] });
+        this.app.feature("B", featureB);
 
-        this.app.load();
         this.app.load();
 
-        assert.calledTwice(feature);
+        assert.calledOnce(featureA);
+        assert.calledOnce(featureB);
     },
 
-    "calling run multiple times does not erase env vars": function () {
+    "feature is called when dependency is resolved after run": function () {
         var feature = this.spy();
-        this.app.env("B", 42);
         this.app.feature("A", feature, { depends: ["B"] });
 
         this.app.load();
-        this.app.load();
+        this.app.feature("B", function () {});
 
-        assert.calledTwice(feature);
-        assert.calledWith(feature, 42);
+        assert.calledOnce(feature);
     },
 
-    "calling run multiple times with different contexts": function () {
+    "feature is called with return-value of dependency": function () {
         var feature = this.spy();
-        this.app.feature("A", feature, { elements: "something" });
+        this.app.feature("A", feature, { depends: ["B"] });
 
-        this.app.load(this.root);
-        this.app.load(document.createElement("div"));
+        this.app.load();
+        this.app.feature("B", this.stub().returns(42));
 
-        assert.calledOnce(feature);
+        assert.calledWith(feature, 42);
     },
 
-    "running feature multiple times in different contexts": function () {
+    "feature is not called until dependency's returned promise resolves": function () {
         var feature = this.spy();
-        var root1 = dome.el.div([dome.el.div({ className: "sumptn" })]);
-        var root2 = dome.el.div([dome.el.div({ className: "sumptn" })]);
-        this.app.feature("A", feature, { elements: "sumptn" });
+        var deferred = when.defer();
+        this.app.feature("A", feature, { depends: ["B"] });
+        this.app.feature("B", this.stub().returns(deferred.promise));
 
-        this.app.load(root1);
-        this.app.load(root2);
+        this.app.load();
 
-        assert.calledTwice(feature);
-        assert.calledWith(feature, root1.firstChild);
-        assert.calledWith(feature, root2.firstChild);
+        refute.called(feature);
+        deferred.resolve(42);
+        assert.calledOnceWith(feature, 42);
     },
 
-    "calls data two times": function () {
-        var data = this.stub().returns({});
-        this.app.data("data", data);
-        this.app.feature("A", this.spy(), { depends: ["data"] });
+    "feature is not called if dependency's returned promise rejects": function () {
+        var feature = this.spy();
+        var deferred = when.defer();
+        this.app.feature("A", feature, { depends: ["B"] });
+        this.app.feature("B", this.stub().returns(deferred.promise));
 
         this.app.load();
+
+        deferred.reject({});
+        refute.called(feature);
+    },
+
+    "promise rejection does not halt all feature runs": function () {
+        var feature = this.spy();
+        var deferred = when.defer();
+        this.app.feature("A", this.stub().returns(deferred.promise));
+        this.app.feature("B", this.spy(), { depends: ["A"] });
+        this.app.feature("C", feature);
+
         this.app.load();
 
-        assert.calledTwice(data);
+        deferred.reject({});
+        assert.called(feature);
     },
 
-    "retries features not running": function () {
-        var root = dome.el.div();
+    "feature exception does not halt runs": function () {
+        var listener = this.spy();
         var feature = this.spy();
-        this.app.feature("A", feature, { elements: "el" });
+        this.app.on("error", listener);
+        this.app.feature("A", this.stub().throws(new Error("Oh noes")));
+        this.app.feature("B", feature);
 
-        this.app.load(root);
-        root.appendChild(dome.el.div({ className: "el" }));
-        this.app.tryPending();
+        this.app.load();
 
         assert.calledOnce(feature);
+        assert.calledOnce(listener);
     },
 
-    "retrying does not call running features again": function () {
+    "resolves nested dependencies": function () {
         var feature = this.spy();
-        this.app.feature("A", feature);
+        var deferredB = when.defer();
+        var deferredC = when.defer();
+        this.app.feature("A", feature, { depends: ["B"] });
+        this.app.feature("B", this.stub().returns(deferredB.promise), {
+            depends: ["C"]
+        });
+        this.app.feature("C", this.stub().returns(deferredC.promise));
+
+        this.app.load();
+        deferredB.resolve(42);
+        deferredC.resolve(13);
+
+        assert.calledOnceWith(feature, 42);
+    },
+
+    "optional dependencies": {
+        setUp: function () {
+            this.feature = this.spy();
+            this.app.feature("A", this.feature, {
+                depends: ["B", "C"],
+                optional: ["C"]
+            });
+            this.app.env("B", 42);
+        },
+
+        "runs feature with undefined for missing dependency": function () {
+            this.app.load();
+
+            assert.calledOnceWith(this.feature, 42, undefined);
+        },
+
+        "runs feature with loaded dependency": function () {
+            this.app.env("C", 13);
+
+            this.app.load();
+
+            assert.calledOnceWith(this.feature, 42, 13);
+        },
+
+        "waits for dependency that can be loaded": function () {
+            this.app.feature("D", this.spy(), { depends: ["A"] });
+            this.app.data("C", this.stub().returns(13), { depends: ["E"] });
+            this.app.feature("E", this.stub().returns("E"));
+
+            this.app.load();
+
+            assert.calledOnceWith(this.feature, 42, 13);
+        },
+
+        "runs feature with undefined for failing dependency": function () {
+            var deferred = when.defer();
+            this.app.data("C", this.stub().returns(deferred.promise));
+
+            this.app.load();
+            deferred.reject(new Error("Oops"));
+
+            assert.calledOnceWith(this.feature, 42, undefined);
+        },
+
+        "emits error for failing dependency": function () {
+            var error = new Error("Oops"), listener = this.spy();
+            this.app.on("error", listener);
+            this.app.data("C", this.stub().returns(when.reject(error)));
+
+            this.app.load();
+
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][0], { name: "C" });
+            assert.same(listener.args[0][1], error);
+        },
+
+        "runs feature with undefined for null from non-nullable data": function () {
+            this.app.data("C", this.stub().returns(null));
+
+            this.app.load();
+
+            assert.calledOnceWith(this.feature, 42, undefined);
+        },
+
+        "does not run feature without required dependency": function () {
+            var feature = this.spy();
+            this.app.feature("D", feature, {
+                depends: ["E", "C"],
+                optional: ["C"]
+            });
+
+            this.app.load();
+
+            refute.called(feature);
+        }
+    },
+
+    "calls lazy feature when depended on": function () {
+        var feature = this.spy();
+        this.app.feature("A", feature, { lazy: true });
+        this.app.feature("B", function () {}, { depends: ["A"] });
 
         this.app.load();
-        this.app.tryPending();
 
         assert.calledOnce(feature);
     },
 
+    "dependency cycles": {
+        setUp: function () {
+            this.listener = this.spy();
+            this.app.on("error", this.listener);
+        },
+
+        "emits error with cycle path when cycle is registered": function () {
+            this.app.feature("a", this.spy(), { depends: ["b"] });
+            this.app.data("b", this.spy(), { depends: ["c"] });
+            this.app.feature("c", this.spy(), { depends: ["a"] });
+
+            assert.calledOnce(this.listener);
+            assert.match(this.listener.args[0][0], { name: "c" });
+            assert.match(this.listener.args[0][1], {
+                message: "Dependency cycle: c -> a -> b -> c",
+                cycle: ["c", "a", "b", "c"]
+            });
+        },
+
+        "does not emit error for diamond dependencies": function () {
+            this.app.feature("a", this.spy(), { depends: ["b", "c"] });
+            this.app.feature("b", this.spy(), { depends: ["d"] });
+            this.app.feature("c", this.spy(), { depends: ["d"] });
+            this.app.feature("d", this.spy());
+
+            this.app.load();
+
+            refute.called(this.listener);
+        },
+
+        "emits error for feature depending on itself": function () {
+            this.app.feature("a", this.spy(), { depends: ["a"] });
+
+            assert.calledOnce(this.listener);
+            assert.match(this.listener.args[0][1], { cycle: ["a", "a"] });
+        },
+
+        "reports each cycle once when loading": function () {
+            this.app.feature("a", this.spy(), { depends: ["b"] });
+            this.app.feature("b", this.spy(), { depends: ["a"] });
+            this.app.feature("c", this.spy(), { depends: ["a"] });
+            var listener = this.spy();
+            this.app.on("error", listener);
+
+            this.app.load();
+
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][1], { cycle: ["a", "b", "a"] });
+        }
+    },
+
+    "throws exception when adding duplicate feature": function () {
+        var app = this.app;
+        app.feature("A", function () {});
+
+        assert.exception(function () { app.feature("A", function () {}); });
+    },
+
+    "throws exception when adding feature duplicating env var": function () {
+        var app = this.app;
+        app.env("A", 42);
+
+        assert.exception(function () { app.feature("A", function () {}); });
+    },
+
+    "throws if writing env data to existing feature": function () {
+        var app = this.app;
+        app.feature("A", function () {});
+
+        assert.exception(function () { app.env("A", 42); });
+    },
+
+    "refreshing env vars": {
+        "does not throw": function () {
+            var app = this.app;
+            app.env("A", 21);
+
+            refute.exception(function () { app.env("A", 42); });
+        },
+
+        "causes depending modules to reload": function () {
+            var feature = this.spy();
+            this.app.feature("A", feature, { depends: ["data"] });
+            this.app.env("data", 42);
+            this.app.load();
+            this.app.env("data", 21);
+
+            assert.calledTwice(feature);
+            assert.calledWith(feature, 42);
+            assert.calledWith(feature, 21);
+        },
+
+        "does not cause reload when value does not change": function () {
+            var feature = this.spy();
+            this.app.feature("A", feature, { depends: ["data"] });
+            this.app.env("data", 42);
+            this.app.load();
+            this.app.env("data", 42);
+
+            assert.calledOnce(feature);
+        },
+
+        "causes recursively depending modules to reload": function () {
+            var feature = this.spy();
+            this.app.data("A", function () { return {}; }, { depends: ["data"] });
+            this.app.feature("B", feature, { depends: ["A"] });
+            this.app.env("data", 42);
+            this.app.load();
+            this.app.env("data", 21);
+
+            assert.calledTwice(feature);
+        },
+
+        "only recursively reloads modules whose dependencies changed result": function () {
+            var feature = this.spy();
+            this.app.data("A", function () { return "Same same"; }, { depends: ["data"] });
+            this.app.feature("B", feature, { depends: ["A"] });
+            this.app.env("data", 42);
+            this.app.load();
+            this.app.env("data", 21);
+
+            assert.calledOnce(feature);
+        },
+
+        "keeps skipped modules loaded for their dependents": function () {
+            var feature = this.spy(), other = this.spy();
+            this.app.data("A", function () { return "Same same"; }, { depends: ["data"] });
+            this.app.feature("B", feature, { depends: ["A", "data"] });
+            this.app.feature("C", other, { depends: ["A"] });
+            this.app.env("data", 42);
+            this.app.load();
+            this.app.env("data", 21);
+
+            assert.calledTwice(feature);
+            assert.calledWith(feature, "Same same", 21);
+            assert.calledOnce(other);
+            assert(this.app.features.A.loaded);
+            assert(this.app.features.C.loaded);
+        },
+
+        "compares serialized arguments to decide to reload": function () {
+            var feature = this.spy();
+            this.app.data("A", function () { return {}; }, { depends: ["data"] });
+            this.app.feature("B", feature, {
+                depends: ["A"],
+                serializeArgs: function (obj) {
+                    return obj.toString();
+                }
+            });
+            this.app.env("data", 42);
+            this.app.load();
+            this.app.env("data", 21);
+
+            assert.calledOnce(feature);
+        },
+
+        "does not cause depending modules to load before app is loaded": function () {
+            var feature = this.spy();
+            this.app.feature("A", feature, { depends: ["data"] });
+            this.app.env("data", 42);
+            this.app.env("data", 21);
+
+            refute.called(feature);
+        },
+
+        "does not cause unrelated modules to reload": function () {
+            var feature = this.spy();
+            this.app.feature("A", feature);
+            this.app.env("data", 42);
+            this.app.load();
+            this.app.env("data", 21);
+
+            assert.calledOnce(feature);
+        }
+    },
+
+    "invalidating data": {
+        "calls data again and reloads dependents": function () {
+            var data = this.stub();
+            data.onCall(0).returns(42);
+            data.onCall(1).returns(21);
+            var feature = this.spy();
+            this.app.data("A", data);
+            this.app.feature("B", feature, { depends: ["A"] });
+            this.app.load();
+
+            this.app.invalidate("A");
+
+            assert.calledTwice(data);
+            assert.calledTwice(feature);
+            assert.calledWith(feature, 21);
+        },
+
+        "does not reload dependents when result does not change": function () {
+            var data = this.stub().returns("Same same");
+            var feature = this.spy();
+            this.app.data("A", data);
+            this.app.feature("B", feature, { depends: ["A"] });
+            this.app.load();
+
+            this.app.invalidate("A");
+
+            assert.calledTwice(data);
+            assert.calledOnce(feature);
+            assert(this.app.features.B.loaded);
+        },
+
+        "keeps dependents of unchanged data loaded": function () {
+            var feature = this.spy();
+            this.app.data("A", function () { return {}; });
+            this.app.data("B", function (a) { return "Same same"; }, {
+                depends: ["A"]
+            });
+            this.app.feature("C", feature, { depends: ["B"] });
+            this.app.feature("D", feature, { depends: ["A"] });
+            this.app.load();
+
+            this.app.invalidate("A");
+
+            assert.calledThrice(feature);
+            assert(this.app.features.C.loaded);
+        },
+
+        "does not reload unrelated features": function () {
+            var feature = this.spy();
+            this.app.data("A", function () { return {}; });
+            this.app.feature("B", this.spy(), { depends: ["A"] });
+            this.app.feature("C", feature);
+            this.app.load();
+
+            this.app.invalidate("A");
+
+            assert.calledOnce(feature);
+        },
+
+        "does not call data before app is loaded": function () {
+            var data = this.stub().returns({});
+            this.app.data("A", data);
+            this.app.feature("B", this.spy(), { depends: ["A"] });
+
+            this.app.invalidate("A");
+
+            refute.called(data);
+        },
+
+        "throws for unknown data": function () {
+            var app = this.app;
+
+            assert.exception(function () { app.invalidate("A"); });
+        }
+    },
+
+    "data registers lazy feature": function () {
+        var data = this.stub().returns({});
+        var feature = this.spy();
+        this.app.data("somedata", data);
+
+        this.app.load();
+        refute.called(data);
+
+        this.app.feature("A", feature, { depends: ["somedata"] });
+        assert.calledOnce(data);
+        assert.calledOnce(feature);
+    },
+
+    "data depending on data; should not cause any load": function () {
+        var data = this.stub().returns({});
+        var data2 = this.stub().returns({});
+        this.app.data("somedata", data);
+        this.app.data("someotherdata", data2, { depends: ["somedata"] });
+
+        this.app.load();
+        refute.called(data);
+        refute.called(data2);
+    },
+
+    "data depending on data; should be loaded when depended on by feature": function () {
+        var data = this.stub().returns({});
+        var data2 = this.stub().returns({});
+        var feature = this.spy();
+        this.app.data("somedata", data);
+        this.app.data("someotherdata", data2, { depends: ["somedata"] });
+        this.app.feature("a-feature", feature, { depends: ["someotherdata"] });
+
+        this.app.load();
+        assert.called(feature);
+        assert.called(data);
+        assert.called(data2);
+    },
+
+    "data registers non-nullable feature": function () {
+        var data = this.stub().returns(null);
+        var feature = this.spy();
+        this.app.data("somedata", data);
+        this.app.feature("A", feature, { depends: ["somedata"] });
+
+        this.app.load();
+
+        assert.called(data);
+        refute.called(feature);
+    },
+
+    "infers data name from function": function () {
+        var fn = function myFeature() {};
+        var feature = this.app.data(fn);
+
+        refute.isNull(this.app.features.myFeature);
+    },
+
+    "fails if no name and anonymous function": function () {
+        var app = this.app;
+
+        assert.exception(function () {
+            app.data(function () {});
+        });
+    },
+
+    "data can have dependencies as well": function () {
+        var data = this.stub().returns({});
+        var feature = this.spy();
+        this.app.data("somedata", data, { depends: ["input"] });
+
+        this.app.load();
+        refute.called(data);
+
+        this.app.feature("A", feature, { depends: ["somedata"] });
+        refute.called(data);
+
+        this.app.env("input", 42);
+        assert.calledOnceWith(data, 42);
+        assert.calledOnce(feature);
+    },
+
+    "calling run multiple times reruns features": function () {
+        var feature = this.spy();
+        this.app.feature("A", feature);
+
+        this.app.load();
+        this.app.load();
+
+        assert.calledTwice(feature);
+    },
+
+    "calling run multiple times does not erase env vars": function () {
+        var feature = this.spy();
+        this.app.env("B", 42);
+        this.app.feature("A", feature, { depends: ["B"] });
+
+        this.app.load();
+        this.app.load();
+
+        assert.calledTwice(feature);
+        assert.calledWith(feature, 42);
+    },
+
+    "calling run multiple times with different contexts": function () {
+        var feature = this.spy();
+        this.app.feature("A", feature, { elements: "something" });
+
+        this.app.load(this.root);
+        this.app.load(document.createElement("div"));
+
+        assert.calledOnce(feature);
+    },
+
+    "running feature multiple times in different contexts": function () {
+        var feature = this.spy();
+        var root1 = dome.el.div([dome.el.div({ className: "sumptn" })]);
+        var root2 = dome.el.div([dome.el.div({ className: "sumptn" })]);
+        this.app.feature("A", feature, { elements: "sumptn" });
+
+        this.app.load(root1);
+        this.app.load(root2);
+
+        assert.calledTwice(feature);
+        assert.calledWith(feature, root1.firstChild);
+        assert.calledWith(feature, root2.firstChild);
+    },
+
+    "calls data two times": function () {
+        var data = this.stub().returns({});
+        this.app.data("data", data);
+        this.app.feature("A", this.spy(), { depends: ["data"] });
+
+        this.app.load();
+        this.app.load();
+
+        assert.calledTwice(data);
+    },
+
+    "caching data": {
+        setUp: function () {
+            this.data = this.stub().returns(42);
+            this.feature = this.spy();
+            this.app.feature("A", this.feature, { depends: ["data"] });
+        },
+
+        "reuses result across loads": function () {
+            this.app.data("data", this.data, { cache: true });
+
+            this.app.load();
+            this.app.load();
+
+            assert.calledOnce(this.data);
+            assert.calledTwice(this.feature);
+            assert.calledWith(this.feature, 42);
+        },
+
+        "fetches again when input changed": function () {
+            this.app.data("data", this.data, { cache: true, depends: ["id"] });
+            this.app.env("id", 1);
+            this.app.load();
+            this.app.env("id", 2);
+
+            this.app.load();
+
+            assert.calledTwice(this.data);
+            assert.calledWith(this.data, 2);
+        },
+
+        "compares input with uinit.areEqual": function () {
+            this.stub(uinit, "areEqual").returns(true);
+            this.app.data("data", this.data, { cache: true, depends: ["id"] });
+            this.app.env("id", { id: 1 });
+            this.app.load();
+            this.app.env("id", { id: 1 });
+
+            this.app.load();
+
+            assert.calledOnce(this.data);
+        },
+
+        "reuses result within ttl": function () {
+            var clock = this.useFakeTimers();
+            this.app.data("data", this.data, { cache: { ttl: 1000 } });
+            this.app.load();
+
+            clock.tick(999);
+            this.app.load();
+
+            assert.calledOnce(this.data);
+        },
+
+        "fetches again when ttl has passed": function () {
+            var clock = this.useFakeTimers();
+            this.app.data("data", this.data, { cache: { ttl: 1000 } });
+            this.app.load();
+
+            clock.tick(1000);
+            this.app.load();
+
+            assert.calledTwice(this.data);
+        },
+
+        "does not reuse rejected result": function () {
+            this.data.returns(when.reject(new Error("Oops")));
+            this.app.data("data", this.data, { cache: true });
+            this.app.load();
+
+            this.app.load();
+
+            assert.calledTwice(this.data);
+        },
+
+        "fetches again when invalidated": function () {
+            this.app.data("data", this.data, { cache: true });
+            this.app.load();
+
+            this.app.invalidate("data");
+
+            assert.calledTwice(this.data);
+        }
+    },
+
+    "snapshots": {
+        setUp: function () {
+            this.data = this.stub().returns(42);
+            this.feature = this.spy();
+            this.snapshot = {
+                env: { account: "cjno" },
+                data: { tweets: { result: ["Hello"], input: ["cjno"] } }
+            };
+        },
+
+        "includes env and resolved data": function () {
+            this.app.env("account", "cjno");
+            this.app.data("tweets", this.stub().returns(when(["Hello"])), {
+                depends: ["account"]
+            });
+            this.app.feature("A", this.feature, { depends: ["tweets"] });
+            this.app.load();
+
+            assert.equals(this.app.snapshot(), this.snapshot);
+        },
+
+        "excludes pending and rejected data and features": function () {
+            this.app.data("A", this.stub().returns(when.defer().promise));
+            this.app.data("B", this.stub().returns(when.reject(new Error())));
+            this.app.data("C", this.data);
+            this.app.feature("D", this.feature, { depends: ["A", "B"] });
+            this.app.load();
+
+            assert.equals(this.app.snapshot(), { env: {}, data: {} });
+        },
+
+        "loads features with hydrated data": function () {
+            this.app.data("tweets", this.data, { depends: ["account"] });
+            this.app.feature("A", this.feature, { depends: ["tweets"] });
+
+            this.app.hydrate(this.snapshot);
+            this.app.load();
+
+            refute.called(this.data);
+            assert.calledOnceWith(this.feature, ["Hello"]);
+        },
+
+        "hydrates data registered later": function () {
+            this.app.hydrate(this.snapshot);
+            this.app.data("tweets", this.data, { depends: ["account"] });
+            this.app.feature("A", this.feature, { depends: ["tweets"] });
+
+            this.app.load();
+
+            refute.called(this.data);
+        },
+
+        "reuses hydrated data across loads": function () {
+            this.app.data("tweets", this.data, { depends: ["account"] });
+            this.app.feature("A", this.feature, { depends: ["tweets"] });
+            this.app.hydrate(this.snapshot);
+            this.app.load();
+
+            this.app.load();
+
+            refute.called(this.data);
+        },
+
+        "fetches data when env changes": function () {
+            this.app.data("tweets", this.data, { depends: ["account"] });
+            this.app.feature("A", this.feature, { depends: ["tweets"] });
+            this.app.hydrate(this.snapshot);
+            this.app.load();
+
+            this.app.env("account", "other");
+
+            assert.calledOnceWith(this.data, "other");
+            assert.calledWith(this.feature, 42);
+        },
+
+        "fetches data when invalidated": function () {
+            this.app.data("tweets", this.data, { depends: ["account"] });
+            this.app.feature("A", this.feature, { depends: ["tweets"] });
+            this.app.hydrate(this.snapshot);
+            this.app.load();
+
+            this.app.invalidate("tweets");
+
+            assert.calledOnce(this.data);
+        },
+
+        "hydrates from script element": function () {
+            var script = document.createElement("script");
+            script.type = "application/json";
+            script.setAttribute("data-uinit-snapshot", "");
+            script.text = JSON.stringify(this.snapshot);
+            this.root.appendChild(script);
+            this.app.data("tweets", this.data, { depends: ["account"] });
+            this.app.feature("A", this.feature, { depends: ["tweets"] });
+
+            this.app.hydrate(this.root);
+            this.app.load();
+
+            refute.called(this.data);
+            assert.calledOnceWith(this.feature, ["Hello"]);
+        },
+
+        "emits error for invalid snapshot script": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            var script = document.createElement("script");
+            script.type = "application/json";
+            script.setAttribute("data-uinit-snapshot", "");
+            script.text = "{env:";
+            this.root.appendChild(script);
+
+            this.app.hydrate(this.root);
+
+            assert.calledOnce(listener);
+        }
+    },
+
+    "settling": {
+        setUp: function () {
+            this.idle = this.spy();
+            this.app.on("idle", this.idle);
+        },
+
+        "load resolves with summary": function (done) {
+            this.app.feature("A", this.spy());
+            this.app.feature("B", this.spy(), { depends: ["missing"] });
+            this.app.feature("C", this.stub().throws(new Error("Oops")));
+            this.app.data("D", this.spy());
+
+            this.app.load().then(function (summary) {
+                assert.equals(summary, {
+                    loaded: ["A"],
+                    pending: ["B", "D"],
+                    failed: ["C"]
+                });
+                done();
+            });
+        },
+
+        "load waits for data features depend on": function () {
+            var data = when.defer(), resolved = this.spy();
+            this.app.data("A", this.stub().returns(data.promise));
+            this.app.feature("B", this.spy(), { depends: ["A"] });
+
+            this.app.load().then(resolved);
+            refute.called(resolved);
+            data.resolve(42);
+
+            assert.calledOnce(resolved);
+            assert.equals(resolved.args[0][0].loaded, ["A", "B"]);
+        },
+
+        "emits 'idle' with summary": function () {
+            this.app.feature("A", this.spy());
+
+            this.app.load();
+
+            assert.calledOnce(this.idle);
+            assert.equals(this.idle.args[0][0].loaded, ["A"]);
+        },
+
+        "emits 'idle' once when a pass starts another": function () {
+            var app = this.app;
+            this.app.feature("A", function () { app.env("B", 42); });
+            this.app.feature("C", this.spy(), { depends: ["B"] });
+
+            this.app.load();
+
+            assert.calledOnce(this.idle);
+            assert.equals(this.idle.args[0][0].loaded, ["A", "C"]);
+        },
+
+        "emits 'idle' once when passes overlap": function () {
+            var data = when.defer();
+            this.app.data("A", this.stub().returns(data.promise));
+            this.app.feature("B", this.spy(), { depends: ["A"] });
+            this.app.load();
+
+            this.app.env("C", 42);
+            refute.called(this.idle);
+            data.resolve(42);
+
+            assert.calledOnce(this.idle);
+            assert.equals(this.idle.args[0][0].loaded, ["A", "B"]);
+        },
+
+        "tryPending resolves with summary": function (done) {
+            this.app.load();
+            this.app.feature("A", this.spy());
+
+            this.app.tryPending().then(function (summary) {
+                assert.equals(summary.loaded, ["A"]);
+                done();
+            });
+        },
+
+        "tryPending resolves before load": function (done) {
+            this.app.feature("A", this.spy());
+
+            this.app.tryPending().then(function (summary) {
+                assert.equals(summary.pending, ["A"]);
+                done();
+            });
+        }
+    },
+
+    "superseded runs": {
+        setUp: function () {
+            var requests = this.requests = [];
+            this.data = this.spy(function () {
+                requests.push(when.defer());
+                return requests[requests.length - 1].promise;
+            });
+            this.feature = this.spy();
+            this.stale = this.spy();
+            this.error = this.spy();
+            this.app.on("stale", this.stale);
+            this.app.on("error", this.error);
+            this.app.data("tweets", this.data, { depends: ["account"] });
+            this.app.feature("A", this.feature, { depends: ["tweets"] });
+            this.app.env("account", "cjno");
+        },
+
+        "passes signal to action": function () {
+            this.app.load();
+
+            assert.isFalse(this.data.thisValues[0].signal.aborted);
+        },
+
+        "aborts signal when env changes": function () {
+            this.app.load();
+
+            this.app.env("account", "other");
+
+            assert(this.data.thisValues[0].signal.aborted);
+            assert.isFalse(this.data.thisValues[1].signal.aborted);
+        },
+
+        "emits 'stale' for superseded runs": function () {
+            this.app.load();
+
+            this.app.env("account", "other");
+
+            var names = cull.map(function (args) {
+                return args[0].name;
+            }, this.stale.args);
+            assert.contains(names, "tweets");
+            assert.contains(names, "A");
+        },
+
+        "discards result of superseded run": function () {
+            this.app.load();
+            this.app.env("account", "other");
+
+            this.requests[0].resolve("Old tweets");
+            this.requests[1].resolve("New tweets");
+
+            assert.calledOnceWith(this.feature, "New tweets");
+        },
+
+        "ignores rejection of superseded run": function () {
+            this.app.load();
+            this.app.env("account", "other");
+
+            this.requests[0].reject(new Error("Aborted"));
+
+            refute.called(this.error);
+            assert.match(this.app.explain("tweets"), { reason: "loaded" });
+        },
+
+        "does not retry superseded run": function () {
+            this.app.features.tweets.retry = 3;
+            this.app.load();
+            this.app.env("account", "other");
+
+            this.requests[0].reject(new Error("Aborted"));
+
+            assert.calledTwice(this.data);
+        },
+
+        "does not emit 'stale' when previous run is done": function () {
+            this.app.load();
+            this.requests[0].resolve("Tweets");
+
+            this.app.env("account", "other");
+
+            refute.called(this.stale);
+            assert.isFalse(this.data.thisValues[0].signal.aborted);
+        },
+
+        "does not supersede run from within its action": function () {
+            var app = this.app;
+            var feature = this.spy(function () { app.env("B", 42); });
+            this.app.feature("B-setter", feature);
+
+            this.app.load();
+            this.requests[0].resolve("Tweets");
+
+            assert.calledOnce(feature);
+            assert.isFalse(feature.thisValues[0].signal.aborted);
+            refute.called(this.stale);
+        }
+    },
+
+    "removing and replacing": {
+        setUp: function () {
+            this.dispose = this.spy();
+            this.widget = this.stub().returns({ dispose: this.dispose });
+            this.feature = this.spy();
+        },
+
+        "remove disposes instances": function () {
+            this.app.feature("A", this.widget, { elements: "something" });
+            this.app.load(this.root);
+
+            this.app.remove("A");
+
+            assert.calledOnce(this.dispose);
+            refute.defined(this.app.features.A);
+            assert.equals(this.app.instances("A"), []);
+        },
+
+        "remove allows registering again": function () {
+            this.app.feature("A", this.widget);
+            this.app.load();
+            this.app.remove("A");
+
+            this.app.feature("A", this.feature);
+
+            assert.calledOnce(this.feature);
+        },
+
+        "remove leaves dependents pending": function () {
+            this.app.data("A", this.stub().returns(42));
+            this.app.feature("B", this.feature, { depends: ["A"] });
+            this.app.load();
+
+            this.app.remove("A");
+
+            assert.match(this.app.explain("B"), { reason: "unknown", name: "A" });
+        },
+
+        "remove disposes instances of dependents": function () {
+            this.app.data("A", this.stub().returns(42));
+            this.app.feature("F", this.widget, {
+                elements: "something",
+                depends: ["A"]
+            });
+            this.app.load(this.root);
+
+            this.app.remove("A");
+
+            assert.calledOnce(this.dispose);
+            assert.equals(this.app.instances("F"), []);
+        },
+
+        "remove unsets env var": function () {
+            this.app.env("account", "cjno");
+
+            this.app.remove("account");
+
+            refute.defined(this.app.env.account);
+        },
+
+        "remove cancels deferred load": function () {
+            this.app.feature("A", this.feature, {
+                elements: "something",
+                defer: { on: "click" }
+            });
+            this.app.load(this.root);
+
+            this.app.remove("A");
+            this.something.click();
+
+            refute.called(this.feature);
+        },
+
+        "remove throws for unknown name": function () {
+            var app = this.app;
+
+            assert.exception(function () {
+                app.remove("A");
+            });
+        },
+
+        "replace disposes instances and calls new feature": function () {
+            this.app.feature("A", this.widget, { elements: "something" });
+            this.app.load(this.root);
+
+            this.app.replace("A", this.feature, { elements: "something" });
+
+            assert.calledOnce(this.dispose);
+            assert.calledOnceWith(this.feature, this.something);
+        },
+
+        "replace reloads dependents with new data": function () {
+            this.app.data("A", this.stub().returns(42));
+            this.app.feature("B", this.feature, { depends: ["A"] });
+            this.app.load();
+
+            this.app.replace("A", this.stub().returns(21));
+
+            assert.calledTwice(this.feature);
+            assert.calledWith(this.feature, 21);
+        },
+
+        "replace keeps data lazy": function () {
+            var data = this.stub().returns(42);
+            this.app.data("A", this.stub().returns(42));
+            this.app.load();
+
+            this.app.replace("A", data);
+
+            refute.called(data);
+        },
+
+        "replace does not load before app is loaded": function () {
+            this.app.feature("A", this.widget, { depends: ["account"] });
+            this.app.env("account", "cjno");
+
+            this.app.replace("A", this.feature, { depends: ["account"] });
+
+            refute.called(this.feature);
+        },
+
+        "replace calls new feature registered with same options": function () {
+            var opt = { elements: "something" };
+            this.app.feature("A", this.widget, opt);
+            this.app.load(this.root);
+
+            this.app.replace("A", this.feature, opt);
+
+            assert.calledOnce(this.dispose);
+            assert.calledOnceWith(this.feature, this.something);
+            assert.match(this.app.explain("A"), { reason: "loaded" });
+        },
+
+        "replace keeps options when none are given": function () {
+            this.app.env("account", "cjno");
+            this.app.feature("A", this.widget, {
+                elements: "something",
+                depends: ["account"]
+            });
+            this.app.load(this.root);
+
+            this.app.replace("A", this.feature);
+
+            assert.calledOnceWith(this.feature, this.something, "cjno");
+        },
+
+        "replace keeps data that was depended on lazy": function () {
+            var data = this.stub().returns(21);
+            this.app.data("A", this.stub().returns(42));
+            this.app.feature("B", this.feature, { depends: ["A"] });
+            this.app.load();
+            this.app.remove("B");
+
+            this.app.replace("A", data);
+
+            refute.called(data);
+        },
+
+        "replace throws for env var": function () {
+            var app = this.app;
+            app.env("account", "cjno");
+
+            assert.exception(function () {
+                app.replace("account", function () {});
+            });
+        },
+
+        "replace throws for missing action and keeps feature": function () {
+            var app = this.app;
+            app.feature("A", this.widget, { elements: "something" });
+            app.load(this.root);
+
+            assert.exception(function () {
+                app.replace("A", null);
+            });
+
+            refute.called(this.dispose);
+            assert.defined(app.features.A);
+            assert.equals(app.instances("A").length, 1);
+        }
+    },
+
+    "retries features not running": function () {
+        var root = dome.el.div();
+        var feature = this.spy();
+        this.app.feature("A", feature, { elements: "el" });
+
+        this.app.load(root);
+        root.appendChild(dome.el.div({ className: "el" }));
+        this.app.tryPending();
+
+        assert.calledOnce(feature);
+    },
+
+    "retrying does not call running features again": function () {
+        var feature = this.spy();
+        this.app.feature("A", feature);
+
+        this.app.load();
+        this.app.tryPending();
+
+        assert.calledOnce(feature);
+    },
+
+    "feature instances": {
+        setUp: function () {
+            this.other = dome.el.div({ className: "something" });
+            this.root.appendChild(this.other);
+            this.app.feature("A", function (el) { return el.className; }, {
+                elements: "something"
+            });
+        },
+
+        "lists one instance per element": function () {
+            this.app.load(this.root);
+
+            assert.equals(this.app.instances("A"), [
+                { element: this.something, result: "something" },
+                { element: this.other, result: "something" }
+            ]);
+        },
+
+        "lists no instances for unknown feature": function () {
+            assert.equals(this.app.instances("B"), []);
+        },
+
+        "lists single instance for feature without elements": function () {
+            this.app.feature("B", this.stub().returns(42));
+
+            this.app.load(this.root);
+
+            assert.equals(this.app.instances("B"), [{ element: undefined, result: 42 }]);
+        },
+
+        "finds instance for element": function () {
+            this.app.load(this.root);
+
+            assert.same(this.app.instance("A", this.other).element, this.other);
+        },
+
+        "does not list unloaded instances": function () {
+            this.app.load(this.root);
+
+            this.app.unload(this.other);
+
+            assert.equals(this.app.instances("A").length, 1);
+            refute.defined(this.app.instance("A", this.other));
+        },
+
+        "passes results from all elements to dependents": function () {
+            var feature = this.spy();
+            this.app.feature("B", feature, { depends: ["A"] });
+
+            this.app.load(this.root);
+
+            assert.calledOnceWith(feature, ["something", "something"]);
+        },
+
+        "passes resolved results from all elements to dependents": function () {
+            var feature = this.spy();
+            var deferred = when.defer();
+            this.app.feature("B", this.stub().returns(deferred.promise), {
+                elements: "something"
+            });
+            this.app.feature("C", feature, { depends: ["B"] });
+
+            this.app.load(this.root);
+            deferred.resolve(42);
+
+            assert.calledOnceWith(feature, [42, 42]);
+        }
+    },
+
+    "timeouts": {
+        setUp: function () {
+            this.clock = this.useFakeTimers();
+            this.deferred = when.defer();
+            this.feature = this.spy();
+            this.errors = this.spy();
+            this.timeouts = this.spy();
+            this.subscribe = function (app) {
+                app.on("error", this.errors);
+                app.on("timeout", this.timeouts);
+            };
+        },
+
+        "rejects data that does not settle in time": function () {
+            this.subscribe(this.app);
+            this.app.data("A", this.stub().returns(this.deferred.promise), {
+                timeout: 100
+            });
+            this.app.feature("B", this.feature, { depends: ["A"] });
+
+            this.app.load();
+            this.clock.tick(99);
+            refute.called(this.timeouts);
+            this.clock.tick(1);
+
+            assert.calledOnce(this.timeouts);
+            assert.match(this.timeouts.args[0][0], { name: "A" });
+            assert.match(this.timeouts.args[0][1], {
+                message: "A timed out after 100ms",
+                timeout: 100
+            });
+            assert.calledOnce(this.errors);
+            assert.match(this.errors.args[0][0], { name: "B" });
+            refute.called(this.feature);
+        },
+
+        "does not reject promise that settles in time": function () {
+            this.subscribe(this.app);
+            this.app.data("A", this.stub().returns(this.deferred.promise), {
+                timeout: 100
+            });
+            this.app.feature("B", this.feature, { depends: ["A"] });
+
+            this.app.load();
+            this.deferred.resolve(42);
+            this.clock.tick(100);
+
+            refute.called(this.timeouts);
+            assert.calledOnceWith(this.feature, 42);
+        },
+
+        "uses the app's default timeout": function () {
+            var app = uinit({ timeout: 50 });
+            this.subscribe(app);
+            app.data("A", this.stub().returns(this.deferred.promise));
+            app.feature("B", this.feature, { depends: ["A"] });
+
+            app.load();
+            this.clock.tick(50);
+
+            assert.calledOnce(this.timeouts);
+        },
+
+        "feature timeout overrides the app's default": function () {
+            var app = uinit({ timeout: 50 });
+            this.subscribe(app);
+            app.data("A", this.stub().returns(this.deferred.promise), {
+                timeout: 0
+            });
+            app.feature("B", this.feature, { depends: ["A"] });
+
+            app.load();
+            this.clock.tick(1000);
+
+            refute.called(this.timeouts);
+        }
+    },
+
+    "retrying": {
+        setUp: function () {
+            this.clock = this.useFakeTimers();
+            this.attempts = [when.defer(), when.defer(), when.defer()];
+            this.data = this.stub();
+            this.data.onCall(0).returns(this.attempts[0].promise);
+            this.data.onCall(1).returns(this.attempts[1].promise);
+            this.data.onCall(2).returns(this.attempts[2].promise);
+            this.feature = this.spy();
+            this.app.feature("B", this.feature, { depends: ["A"] });
+        },
+
+        "loads dependents when retry succeeds": function () {
+            this.app.data("A", this.data, { retry: { attempts: 3, delay: 10 } });
+
+            this.app.load();
+            this.attempts[0].reject(new Error("Oops"));
+            this.clock.tick(10);
+            this.attempts[1].resolve(42);
+
+            assert.calledTwice(this.data);
+            assert.calledOnceWith(this.feature, 42);
+        },
+
+        "emits 'retry' for each retry": function () {
+            var listener = this.spy();
+            var error = new Error("Oops");
+            this.app.on("retry", listener);
+            this.app.data("A", this.data, { retry: 3 });
+
+            this.app.load();
+            this.attempts[0].reject(error);
+            this.clock.tick(0);
+            this.attempts[1].reject(error);
+            this.clock.tick(0);
+
+            assert.calledTwice(listener);
+            assert.calledWith(listener, this.app.features.A, error, 1);
+            assert.calledWith(listener, this.app.features.A, error, 2);
+        },
+
+        "gives up after max attempts": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            this.app.data("A", this.data, { retry: 2 });
+
+            this.app.load();
+            this.attempts[0].reject(new Error("Oops"));
+            this.clock.tick(0);
+            this.attempts[1].reject(new Error("Oops again"));
+            this.clock.tick(0);
+
+            assert.calledTwice(this.data);
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][1], { message: "Oops again" });
+            refute.called(this.feature);
+        },
+
+        "does not retry errors rejected by shouldRetry": function () {
+            this.app.data("A", this.data, {
+                retry: {
+                    attempts: 3,
+                    shouldRetry: function (e) { return e.status >= 500; }
+                }
+            });
+
+            this.app.load();
+            this.attempts[0].reject({ status: 404 });
+            this.clock.tick(0);
+
+            assert.calledOnce(this.data);
+        },
+
+        "waits with exponential backoff": function () {
+            this.app.data("A", this.data, {
+                retry: { attempts: 3, delay: 100, backoff: "exponential" }
+            });
+
+            this.app.load();
+            this.attempts[0].reject(new Error("Oops"));
+            this.clock.tick(100);
+            this.attempts[1].reject(new Error("Oops"));
+            this.clock.tick(199);
+            assert.calledTwice(this.data);
+            this.clock.tick(1);
+
+            assert.calledThrice(this.data);
+        },
+
+        "waits according to custom backoff function": function () {
+            this.app.data("A", this.data, {
+                retry: {
+                    attempts: 3,
+                    backoff: function (attempt) { return attempt * 1000; }
+                }
+            });
+
+            this.app.load();
+            this.attempts[0].reject(new Error("Oops"));
+            this.clock.tick(999);
+            assert.calledOnce(this.data);
+            this.clock.tick(1);
+
+            assert.calledTwice(this.data);
+        },
+
+        "makes 3 attempts by default": function () {
+            var data = this.stub().returns(when.reject(new Error("Oops")));
+            this.app.data("A", data, { retry: { delay: 1 } });
+
+            this.app.load();
+            this.clock.tick(100);
+
+            assert.calledThrice(data);
+        },
+
+        "fails with invalid retry option": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            this.app.data("A", this.data, { retry: true });
+
+            this.app.load();
+
+            refute.called(this.data);
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][1], { name: "TypeError" });
+        },
+
+        "fails with non-positive attempts": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            this.app.data("A", this.data, { retry: { attempts: 0 } });
+
+            this.app.load();
+
+            refute.called(this.data);
+            assert.calledOnce(listener);
+        }
+    },
+
+    "disposing features": {
+        "calls dispose before re-running feature for same element": function () {
+            var dispose = this.spy();
+            this.app.feature("A", this.stub().returns(42), {
+                elements: "something",
+                dispose: dispose
+            });
+
+            this.app.load(this.root);
+            refute.called(dispose);
+            this.app.load(this.root);
+
+            assert.calledOnceWith(dispose, 42, this.something);
+        },
+
+        "calls dispose method of returned object": function () {
+            var instance = { dispose: this.spy() };
+            this.app.feature("A", this.stub().returns(instance));
+
+            this.app.load();
+            this.app.load();
+
+            assert.calledOnce(instance.dispose);
+        },
+
+        "does not dispose instance when reload is skipped": function () {
+            var dispose = this.spy();
+            this.app.data("A", function () { return "Same same"; }, { depends: ["data"] });
+            this.app.feature("B", this.stub().returns({}), {
+                depends: ["A"],
+                dispose: dispose
+            });
+            this.app.env("data", 42);
+            this.app.load();
+            this.app.env("data", 21);
+
+            refute.called(dispose);
+        },
+
+        "emits error when dispose throws": function () {
+            var listener = this.spy();
+            this.app.on("error", listener);
+            this.app.feature("A", this.spy(), {
+                dispose: this.stub().throws(new Error("Oops"))
+            });
+
+            this.app.load();
+            this.app.load();
+
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][1], { message: "Oops" });
+        },
+
+        "unload disposes instances inside context only": function () {
+            var other = dome.el.div({ className: "something" });
+            var dispose = this.spy();
+            this.app.feature("A", this.spy(), {
+                elements: "something",
+                dispose: dispose
+            });
+            this.app.load(this.root);
+            this.app.load(dome.el.div([other]));
+
+            this.app.unload(this.root);
+
+            assert.calledOnceWith(dispose, undefined, this.something);
+        },
+
+        "unload without context disposes all instances": function () {
+            var dispose = this.spy();
+            this.app.feature("A", this.spy(), { dispose: dispose });
+            this.app.feature("B", this.spy(), {
+                elements: "something",
+                dispose: dispose
+            });
+            this.app.load(this.root);
+
+            this.app.unload();
+
+            assert.calledTwice(dispose);
+        },
+
+        "unloaded feature is loaded again when trying pending": function () {
+            var feature = this.spy();
+            this.app.feature("A", feature, { elements: "something" });
+            this.app.load(this.root);
+
+            this.app.unload(this.root);
+            this.app.tryPending();
+
+            assert.calledTwice(feature);
+        },
+
+        "emits 'unloaded' for disposed instances": function () {
+            var listener = this.spy();
+            this.app.on("unloaded", listener);
+            this.app.feature("A", this.spy(), { elements: "something" });
+            this.app.load(this.root);
+
+            this.app.unload(this.root);
+
+            assert.calledOnce(listener);
+            assert.match(listener.args[0][0], { name: "A" });
+            assert.same(listener.args[0][1], this.something);
+        }
+    },
+
+    "observing the DOM": {
+        setUp: function () {
+            this.feature = this.spy();
+            this.dispose = this.spy();
+            this.app.feature("A", this.feature, {
+                elements: "something",
+                dispose: this.dispose
+            });
+        },
+
+        tearDown: function () {
+            this.app.disconnect();
+        },
+
+        "loads features in root": function () {
+            this.app.observe(this.root);
+
+            assert.calledOnceWith(this.feature, this.something);
+        },
+
+        "loads loaded feature for added elements": function (done) {
+            var el = dome.el.div({ className: "something" });
+            var feature = this.feature;
+            this.app.observe(this.root);
+
+            this.root.appendChild(dome.el.div([el]));
+
+            setTimeout(function () {
+                assert.calledTwice(feature);
+                assert.calledWith(feature, el);
+                done();
+            }, 0);
+        },
+
+        "loads pending feature for added element": function (done) {
+            var root = dome.el.div();
+            var feature = this.feature;
+            this.app.observe(root);
+
+            root.appendChild(this.something);
+
+            setTimeout(function () {
+                assert.calledOnce(feature);
+                done();
+            }, 0);
+        },
+
+        "disposes features for removed elements": function (done) {
+            var dispose = this.dispose;
+            var something = this.something;
+            this.app.observe(this.root);
+
+            this.root.removeChild(this.something);
+
+            setTimeout(function () {
+                assert.calledOnceWith(dispose, undefined, something);
+                done();
+            }, 0);
+        },
+
+        "does not reload features for moved elements": function (done) {
+            var feature = this.feature;
+            var dispose = this.dispose;
+            var container = dome.el.div();
+            this.root.appendChild(container);
+            this.app.observe(this.root);
+
+            container.appendChild(this.something);
+
+            setTimeout(function () {
+                assert.calledOnce(feature);
+                refute.called(dispose);
+                done();
+            }, 0);
+        },
+
+        "loads features selected by selector for added elements": function (done) {
+            var feature = this.spy();
+            var el = dome.el.div({ data: { widget: "tweets" } });
+            this.app.feature("B", feature, { elements: { selector: "[data-widget]" } });
+            this.app.observe(this.root);
+
+            this.root.appendChild(el);
+
+            setTimeout(function () {
+                assert.calledOnceWith(feature, el);
+                done();
+            }, 0);
+        },
+
+        "stops observing when disconnected": function (done) {
+            var feature = this.feature;
+            this.app.observe(this.root);
+            this.app.disconnect();
+
+            this.root.appendChild(dome.el.div({ className: "something" }));
+
+            setTimeout(function () {
+                assert.calledOnce(feature);
+                done();
+            }, 0);
+        }
+    },
+
+    "deferred loading": {
+        setUp: function () {
+            var idle = this.idle = [];
+            var observers = this.observers = [];
+            this.feature = this.spy();
+            this.originalIdle = window.requestIdleCallback;
+            this.originalCancelIdle = window.cancelIdleCallback;
+            this.originalObserver = window.IntersectionObserver;
+
+            window.requestIdleCallback = function (fn) {
+                return idle.push(fn) - 1;
+            };
+            window.cancelIdleCallback = function (id) { idle[id] = null; };
+            window.IntersectionObserver = function (callback) {
+                this.callback = callback;
+                this.observe = function (element) { this.element = element; };
+                this.disconnect = function () { this.disconnected = true; };
+                observers.push(this);
+            };
+
+            this.runIdle = function () {
+                cull.doall(function (fn) { if (fn) { fn(); } }, idle.splice(0));
+            };
+        },
+
+        tearDown: function () {
+            window.requestIdleCallback = this.originalIdle;
+            window.cancelIdleCallback = this.originalCancelIdle;
+            window.IntersectionObserver = this.originalObserver;
+        },
+
+        "calls idle feature when the browser is idle": function () {
+            this.app.feature("A", this.feature, { defer: "idle" });
+
+            this.app.load();
+            refute.called(this.feature);
+            this.runIdle();
+
+            assert.calledOnce(this.feature);
+        },
+
+        "falls back to timeout without requestIdleCallback": function () {
+            var clock = this.useFakeTimers();
+            window.requestIdleCallback = undefined;
+            this.app.feature("A", this.feature, { defer: "idle" });
+
+            this.app.load();
+            refute.called(this.feature);
+            clock.tick(1);
+
+            assert.calledOnce(this.feature);
+        },
+
+        "calls visible feature when element enters viewport": function () {
+            this.app.feature("A", this.feature, {
+                elements: "something",
+                defer: "visible"
+            });
+
+            this.app.load(this.root);
+            var observer = this.observers[0];
+            observer.callback([{ isIntersecting: false }]);
+            refute.called(this.feature);
+            observer.callback([{ isIntersecting: true }]);
+
+            assert.same(observer.element, this.something);
+            assert.calledOnceWith(this.feature, this.something);
+            assert(observer.disconnected);
+        },
+
+        "calls feature on first interaction with element": function () {
+            this.app.feature("A", this.feature, {
+                elements: "something",
+                defer: { on: "click" }
+            });
+
+            this.app.load(this.root);
+            refute.called(this.feature);
+            this.something.click();
+            this.something.click();
+
+            assert.calledOnceWith(this.feature, this.something);
+        },
+
+        "defers each element separately": function () {
+            var other = dome.el.div({ className: "something" });
+            this.root.appendChild(other);
+            this.app.feature("A", this.feature, {
+                elements: "something",
+                defer: { on: "click" }
+            });
+
+            this.app.load(this.root);
+            other.click();
+
+            assert.calledOnceWith(this.feature, other);
+        },
+
+        "does not defer element twice": function () {
+            this.app.feature("A", this.feature, { defer: "idle" });
+            this.app.load();
+
+            this.app.env("something", 42);
+
+            assert.equals(this.idle.length, 1);
+        },
+
+        "resolves dependencies when called": function () {
+            this.app.feature("A", this.feature, {
+                depends: ["account"],
+                defer: "idle"
+            });
+            this.app.env("account", "cjno");
+            this.app.load();
+            this.app.env("account", "other");
+
+            this.runIdle();
+
+            assert.calledOnceWith(this.feature, "other");
+        },
+
+        "loads dependent features when loaded": function () {
+            var dependent = this.spy();
+            this.app.data("A", this.stub().returns(42), { defer: "idle" });
+            this.app.feature("B", dependent, { depends: ["A"] });
+
+            this.app.load();
+            refute.called(dependent);
+            this.runIdle();
+
+            assert.calledOnceWith(dependent, 42);
+        },
+
+        "reloads without deferring again": function () {
+            this.app.feature("A", this.feature, {
+                depends: ["account"],
+                defer: "idle"
+            });
+            this.app.env("account", "cjno");
+            this.app.load();
+            this.runIdle();
+
+            this.app.env("account", "other");
+
+            assert.calledTwice(this.feature);
+            assert.calledWith(this.feature, "other");
+        },
+
+        "emits 'deferred', 'loading' and 'loaded'": function () {
+            var deferred = this.spy(), loading = this.spy(), loaded = this.spy();
+            this.app.on("deferred", deferred);
+            this.app.on("loading", loading);
+            this.app.on("loaded", loaded);
+            this.app.feature("A", this.stub().returns(42), { defer: "idle" });
+
+            this.app.load();
+            assert.calledOnce(deferred);
+            refute.called(loading);
+            this.runIdle();
+
+            assert.calledOnce(loading);
+            assert.calledOnce(loaded);
+            assert.match(loaded.args[0][0], { name: "A" });
+        },
+
+        "does not call feature for unloaded element": function () {
+            this.app.feature("A", this.feature, {
+                elements: "something",
+                defer: { on: "click" }
+            });
+            this.app.load(this.root);
+
+            this.app.unload(this.something);
+            this.something.click();
+
+            refute.called(this.feature);
+        },
+
+        "cancels deferred loads when loading again": function () {
+            this.app.feature("A", this.feature, { defer: "idle" });
+            this.app.load();
+
+            this.app.load();
+            this.runIdle();
+
+            assert.calledOnce(this.feature);
+        },
+
+        "explains deferred feature": function () {
+            this.app.feature("A", this.feature, { defer: "idle" });
+            this.app.load();
+
+            assert.match(this.app.explain("A"), { reason: "deferred" });
+        }
+    },
+
+    "loading feature code": {
+        setUp: function () {
+            this.action = this.stub().returns(42);
+            this.code = when.defer();
+            this.loader = this.stub().returns(this.code.promise);
+            this.error = this.spy();
+            this.app.on("error", this.error);
+        },
+
+        "does not call loader before dependencies are loaded": function () {
+            this.app.feature("A", null, {
+                loader: this.loader,
+                depends: ["account"]
+            });
+
+            this.app.load();
+
+            refute.called(this.loader);
+        },
+
+        "does not call loader without elements": function () {
+            this.app.feature("A", null, {
+                loader: this.loader,
+                elements: "nothing"
+            });
+
+            this.app.load(this.root);
+
+            refute.called(this.loader);
+        },
+
+        "calls loaded action with dependencies": function () {
+            this.app.feature("A", null, {
+                loader: this.loader,
+                elements: "something",
+                depends: ["account"]
+            });
+            this.app.env("account", "cjno");
+
+            this.app.load(this.root);
+            refute.called(this.action);
+            this.code.resolve(this.action);
+
+            assert.calledOnceWith(this.action, this.something, "cjno");
+        },
+
+        "calls loader once": function () {
+            this.root.appendChild(dome.el.div({ className: "something" }));
+            this.app.feature("A", null, {
+                loader: this.loader,
+                elements: "something",
+                depends: ["account"]
+            });
+            this.app.env("account", "cjno");
+            this.app.load(this.root);
+            this.code.resolve(this.action);
+
+            this.app.env("account", "other");
+
+            assert.calledOnce(this.loader);
+            assert.equals(this.action.callCount, 4);
+        },
+
+        "passes result of loaded action to dependents": function () {
+            var feature = this.spy();
+            this.app.feature("A", null, { loader: this.loader });
+            this.app.feature("B", feature, { depends: ["A"] });
+
+            this.app.load();
+            this.code.resolve(this.action);
+
+            assert.calledOnceWith(feature, 42);
+        },
+
+        "emits error when loader rejects": function () {
+            var error = new Error("Chunk failed to load");
+            this.app.feature("A", null, {
+                loader: this.loader,
+                elements: "something"
+            });
+
+            this.app.load(this.root);
+            this.code.reject(error);
+
+            assert.calledOnce(this.error);
+            assert.match(this.error.args[0][0], { name: "A" });
+            assert.same(this.error.args[0][1], error);
+            assert.same(this.error.args[0][2], this.something);
+            assert.match(this.app.explain("A"), { reason: "failed" });
+        },
+
+        "emits error when loader throws": function () {
+            var error = new Error("Oops");
+            this.app.feature("A", null, { loader: this.stub().throws(error) });
+
+            this.app.load();
+
+            assert.calledOnce(this.error);
+            assert.same(this.error.args[0][1], error);
+        },
+
+        "emits error when loader does not produce function": function () {
+            this.app.feature("A", null, { loader: this.loader });
+
+            this.app.load();
+            this.code.resolve({});
+
+            assert.calledOnce(this.error);
+            refute.called(this.action);
+        },
+
+        "calls loader again after failure": function () {
+            this.loader.onCall(1).returns(this.action);
+            this.app.feature("A", null, { loader: this.loader });
+            this.app.load();
+            this.code.reject(new Error("Offline"));
+
+            this.app.load();
+
+            assert.calledTwice(this.loader);
+            assert.calledOnce(this.action);
+        },
+
+        "emits error when registering feature without action or loader": function () {
+            this.app.feature("A", null, { elements: "something" });
+
+            assert.calledOnce(this.error);
+            refute.defined(this.app.features.A);
+        }
+    },
+
+    "concurrency and priorities": {
+        setUp: function () {
+            this.app = uinit({ concurrency: 1 });
+            this.requests = {};
+            this.order = [];
+
+            this.request = function (name) {
+                var requests = this.requests, order = this.order;
+                requests[name] = when.defer();
+                return function () {
+                    order.push(name);
+                    return requests[name].promise;
+                };
+            };
+        },
+
+        "limits number of data tasks in flight": function () {
+            this.app.data("A", this.request("A"));
+            this.app.data("B", this.request("B"));
+            this.app.feature("C", this.spy(), { depends: ["A", "B"] });
+
+            this.app.load();
+            assert.equals(this.order, ["A"]);
+            this.requests.A.resolve(1);
+
+            assert.equals(this.order, ["A", "B"]);
+        },
+
+        "passes queued result to dependents": function () {
+            var feature = this.spy();
+            this.app.data("A", this.request("A"));
+            this.app.data("B", this.request("B"));
+            this.app.feature("C", feature, { depends: ["A", "B"] });
+
+            this.app.load();
+            this.requests.A.resolve(1);
+            this.requests.B.resolve(2);
+
+            assert.calledOnceWith(feature, 1, 2);
+        },
+
+        "does not limit features": function () {
+            var feature = this.spy();
+            this.app.data("A", this.request("A"));
+            this.app.feature("B", this.request("B"));
+            this.app.feature("C", feature);
+            this.app.feature("D", this.spy(), { depends: ["A"] });
+
+            this.app.load();
+
+            assert.called(feature);
+            assert.equals(this.order, ["A", "B"]);
+        },
+
+        "releases slot when task fails": function () {
+            this.app.data("A", this.request("A"));
+            this.app.data("B", this.request("B"));
+            this.app.feature("C", this.spy(), { depends: ["A"] });
+            this.app.feature("D", this.spy(), { depends: ["B"] });
+
+            this.app.load();
+            this.requests.A.reject(new Error("Oops"));
+
+            assert.equals(this.order, ["A", "B"]);
+        },
+
+        "releases slot when task throws": function () {
+            this.app.data("A", this.stub().throws(new Error("Oops")));
+            this.app.data("B", this.request("B"));
+            this.app.feature("C", this.spy(), { depends: ["A"] });
+            this.app.feature("D", this.spy(), { depends: ["B"] });
+
+            this.app.load();
+
+            assert.equals(this.order, ["B"]);
+        },
+
+        "runs queued data with highest priority first": function () {
+            this.app.data("A", this.request("A"));
+            this.app.data("B", this.request("B"));
+            this.app.feature("D", this.spy(), { depends: ["A", "B"] });
+            this.app.load();
+
+            this.app.data("C", this.request("C"), { priority: 1 });
+            this.app.feature("E", this.spy(), { depends: ["C"] });
+            this.requests.A.resolve(1);
+
+            assert.equals(this.order, ["A", "C"]);
+        },
+
+        "loads data with highest priority first": function () {
+            this.app.data("A", this.request("A"));
+            this.app.data("B", this.request("B"), { priority: 1 });
+            this.app.feature("C", this.spy(), { depends: ["A", "B"] });
+
+            this.app.load();
+            this.requests.B.resolve(1);
+
+            assert.equals(this.order, ["B", "A"]);
+        },
+
+        "data inherits priority of dependent features": function () {
+            this.app.data("A", this.request("A"));
+            this.app.data("B", this.request("B"));
+            this.app.data("C", this.request("C"));
+            this.app.feature("D", this.spy(), { depends: ["A", "B"] });
+            this.app.feature("E", this.spy(), { depends: ["C"], priority: 5 });
+
+            this.app.load();
+            this.requests.C.resolve(1);
+            this.requests.A.resolve(1);
+
+            assert.equals(this.order, ["C", "A", "B"]);
+        },
+
+        "loads features with highest priority first": function () {
+            var loading = this.spy();
+            this.app = uinit();
+            this.app.on("loading", loading);
+            this.app.feature("A", this.spy());
+            this.app.feature("B", this.spy(), { priority: 2 });
+            this.app.feature("C", this.spy(), { priority: 1 });
+
+            this.app.load();
+
+            assert.equals(cull.map(function (args) {
+                return args[0].name;
+            }, loading.args), ["B", "C", "A"]);
+        }
+    },
+
+    "dependency graph": {
+        setUp: function () {
+            this.app.env("account", "cjno");
+            this.app.data("tweets", this.stub().returns([]), {
+                depends: ["account"]
+            });
+            this.app.feature("tweetui", this.spy(), {
+                depends: ["tweets", "recommendations"],
+                optional: ["recommendations"]
+            });
+        },
+
+        "has nodes with types and states": function () {
+            this.app.load();
+
+            assert.match(this.app.graph().nodes, [
+                { name: "account", type: "Env", state: "loaded" },
+                { name: "tweets", type: "Data", state: "loaded" },
+                { name: "tweetui", type: "Feature", state: "loaded" },
+                { name: "recommendations", type: "Unknown", state: "unknown" }
+            ]);
+        },
+
+        "has pending nodes before loading": function () {
+            assert.match(this.app.graph().nodes[2], { state: "pending" });
+        },
+
+        "has edges from features to dependencies": function () {
+            assert.equals(this.app.graph().edges, [
+                { from: "tweets", to: "account", optional: false },
+                { from: "tweetui", to: "tweets", optional: false },
+                { from: "tweetui", to: "recommendations", optional: true }
+            ]);
+        },
+
+        "serializes to JSON": function () {
+            var graph = JSON.parse(JSON.stringify(this.app.graph()));
+
+            assert.equals(graph.edges.length, 3);
+            assert.equals(graph.nodes.length, 4);
+        },
+
+        "exports Graphviz DOT": function () {
+            var dot = this.app.graph().toDot();
+
+            assert.match(dot, /^digraph uinit \{\n/);
+            assert.match(dot, "\"tweets\" [label=\"tweets (Data, pending)\"];");
+            assert.match(dot, "\"tweetui\" -> \"tweets\";");
+            assert.match(dot, "\"tweetui\" -> \"recommendations\" [style=dashed];");
+        }
+    },
+
+    "explaining state": {
+        setUp: function () {
+            this.app.data("tweets", this.stub().returns([]), {
+                depends: ["account"]
+            });
+            this.app.feature("tweetui", this.spy(), { depends: ["tweets"] });
+        },
+
+        "reports unknown dependency": function () {
+            this.app.load();
+
+            assert.equals(this.app.explain("tweetui"), {
+                name: "account",
+                path: ["tweetui", "tweets", "account"],
+                reason: "unknown",
+                message: "tweetui is pending: tweetui -> tweets -> account: " +
+                    "account is not registered"
+            });
+        },
+
+        "reports loaded feature": function () {
+            this.app.env("account", "cjno");
+            this.app.load();
+
+            assert.match(this.app.explain("tweetui"), {
+                name: "tweetui",
+                reason: "loaded"
+            });
+        },
+
+        "reports missing elements": function () {
+            this.app.feature("A", this.spy(), { elements: "nothing" });
+            this.app.load(this.root);
+
+            assert.match(this.app.explain("A"), {
+                reason: "no-elements",
+                message: "A has no matching elements"
+            });
+        },
+
+        "reports rejected promise": function () {
+            var deferred = when.defer();
+            var error = new Error("Oops");
+            this.app.data("account", this.stub().returns(deferred.promise));
+            this.app.load();
+
+            deferred.reject(error);
+
+            assert.match(this.app.explain("tweetui"), {
+                name: "account",
+                path: ["tweetui", "tweets", "account"],
+                reason: "failed",
+                error: error
+            });
+        },
+
+        "reports falsy result from non-nullable data": function () {
+            this.app.data("account", this.stub().returns(null));
+            this.app.load();
+
+            assert.match(this.app.explain("tweetui"), {
+                name: "account",
+                reason: "empty"
+            });
+        },
+
+        "reports cycle": function () {
+            this.app.data("account", this.spy(), { depends: ["tweetui"] });
+            this.app.load();
+
+            assert.match(this.app.explain("tweetui"), {
+                reason: "cycle",
+                message: "Dependency cycle: tweetui -> tweets -> account -> tweetui"
+            });
+        },
+
+        "reports unloaded app": function () {
+            this.app.env("account", "cjno");
+
+            assert.match(this.app.explain("tweetui"), { reason: "not-loaded" });
+        },
+
+        "is passed with 'pending' event": function () {
+            var listener = this.spy();
+            this.app.on("pending", listener);
+
+            this.app.load();
+
+            assert.calledWith(listener, this.app.features.tweetui);
+            assert.match(listener.args[0][1], { name: "account", reason: "unknown" });
+        }
+    },
+
+    "instrumentation": {
+        setUp: function () {
+            this.clock = this.useFakeTimers();
+            this.originalNow = performance.now;
+            performance.now = function () { return new Date().getTime(); };
+            this.app = uinit({ instrument: true });
+            this.deferred = when.defer();
+            this.data = when.defer();
+            this.app.data("data", this.stub().returns(this.data.promise));
+            this.app.feature("A", this.stub().returns(this.deferred.promise), {
+                elements: "something",
+                depends: ["data"]
+            });
+        },
+
+        tearDown: function () {
+            performance.now = this.originalNow;
+        },
+
+        "records dependency resolution and action separately": function () {
+            this.app.load(this.root);
+            this.clock.tick(20);
+            this.data.resolve({});
+            this.clock.tick(30);
+            this.deferred.resolve(42);
+
+            assert.match(this.app.metrics(), [{
+                name: "data",
+                resolve: 0,
+                action: 20
+            }, {
+                name: "A",
+                element: this.something,
+                resolve: 20,
+                action: 30
+            }]);
+        },
+
+        "does not record metrics when not instrumented": function () {
+            var app = uinit();
+            app.feature("A", this.spy());
+
+            app.load();
+
+            assert.equals(app.metrics(), []);
+        },
+
+        "user timing": {
+            setUp: function () {
+                this.originalMark = performance.mark;
+                this.originalMeasure = performance.measure;
+                performance.mark = this.spy();
+                performance.measure = this.spy();
+            },
+
+            tearDown: function () {
+                performance.mark = this.originalMark;
+                performance.measure = this.originalMeasure;
+            },
+
+            "writes marks and measures": function () {
+                var id = "uinit:A#" + dome.uuid(this.something);
+                this.app.load(this.root);
+                this.data.resolve({});
+                this.deferred.resolve(42);
+
+                assert.calledWith(performance.mark, id + ":resolve:start");
+                assert.calledWith(performance.mark, id + ":resolve:end");
+                assert.calledWith(performance.mark, id + ":action:start");
+                assert.calledWith(performance.mark, id + ":action:end");
+                assert.calledWith(performance.measure, id + ":resolve",
+                                  id + ":resolve:start", id + ":resolve:end");
+                assert.calledWith(performance.measure, id + ":action",
+                                  id + ":action:start", id + ":action:end");
+            }
+        }
+    },
+
+    "debugging": {
+        setUp: function () {
+            this.clock = this.useFakeTimers();
+            this.sink = { log: this.spy(), table: this.spy() };
+            this.something.id = "main";
+        },
+
+        "logs loading and loaded feature with element and arguments": function () {
+            this.app.env("answer", 42);
+            this.app.feature("A", this.stub().returns("Yes"), {
+                elements: "something",
+                depends: ["answer"]
+            });
+            this.app.debug({ sink: this.sink });
+
+            this.app.load(this.root);
+
+            assert.calledWith(this.sink.log, "[uinit] loading A div#main.something");
+            assert.calledWith(this.sink.log, "[uinit] loaded A div#main.something (0ms)", {
+                args: [42],
+                result: "Yes"
+            });
+        },
+
+        "logs elapsed time": function () {
+            var deferred = when.defer();
+            this.app.data("data", this.stub().returns(deferred.promise));
+            this.app.feature("A", this.spy(), { depends: ["data"] });
+            this.app.debug({ sink: this.sink });
+
+            this.app.load();
+            this.clock.tick(25);
+            deferred.resolve({});
+
+            assert.calledWith(this.sink.log, "[uinit] loaded A (25ms)");
+        },
+
+        "logs errors": function () {
+            var error = new Error("Oops");
+            this.app.feature("A", this.stub().throws(error));
+            this.app.debug({ sink: this.sink });
+
+            this.app.load();
+
+            assert.calledWith(this.sink.log, "[uinit] error A (0ms)", error);
+        },
+
+        "logs pending features with explanation": function () {
+            this.app.feature("A", this.spy(), { depends: ["B"] });
+            this.app.debug({ sink: this.sink });
+
+            this.app.load();
+
+            assert.calledWith(this.sink.log, "[uinit] pending A",
+                              "A is pending: A -> B: B is not registered");
+        },
+
+        "logs summary when load pass settles": function () {
+            this.app.feature("A", this.spy());
+            this.app.feature("B", this.spy(), { depends: ["C"] });
+            this.app.feature("C", this.stub().throws(new Error("Oops")));
+            this.app.debug({ sink: this.sink });
+
+            this.app.load();
+
+            assert.calledWith(this.sink.log, "[uinit] 1 loaded, 1 pending, 1 failed");
+            assert.calledOnce(this.sink.table);
+            assert.match(this.sink.table.args[0][0], [
+                { name: "A", state: "loaded" },
+                { name: "B", state: "pending" },
+                { name: "C", state: "failed" }
+            ]);
+        },
+
+        "does not log when disabled": function () {
+            this.app.feature("A", this.spy());
+            this.app.debug({ sink: this.sink });
+            this.app.debug(false);
+
+            this.app.load();
+
+            refute.called(this.sink.log);
+        }
+    },
+
     "events": {
         setUp: function () {
             this.loading = this.spy();
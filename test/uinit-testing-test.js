@@ -0,0 +1,236 @@
+/*global uinit, cull, dome, when*/
+var assert = buster.assert;
+var refute = buster.refute;
+
+buster.testCase("Testing", {
+    setUp: function () {
+        this.root = dome.el.div();
+        this.app = uinit.testing.app();
+        this.something = dome.el.div({ className: "something" });
+        this.root.appendChild(this.something);
+    },
+
+    "creates app": function () {
+        assert.isFunction(this.app.load);
+        assert.isFunction(this.app.on);
+    },
+
+    "passes options to app": function () {
+        var app = uinit.testing.app({ instrument: true });
+        app.feature("A", this.spy());
+
+        app.load();
+
+        assert.equals(app.metrics().length, 1);
+    },
+
+    "stubbing data": {
+        "uses stubbed value for data registered later": function () {
+            var data = this.spy(), feature = this.spy();
+            this.app.stubData("tweets", ["Hello"]);
+            this.app.data("tweets", data, { depends: ["account"] });
+            this.app.feature("A", feature, { depends: ["tweets"] });
+            this.app.env("account", "cjno");
+
+            this.app.load();
+
+            refute.called(data);
+            assert.calledOnceWith(feature, ["Hello"]);
+        },
+
+        "replaces data registered before": function () {
+            var data = this.spy(), feature = this.spy();
+            this.app.data("tweets", data);
+            this.app.feature("A", feature, { depends: ["tweets"] });
+
+            this.app.stubData("tweets", ["Hello"]);
+            this.app.load();
+
+            refute.called(data);
+            assert.calledOnceWith(feature, ["Hello"]);
+        },
+
+        "keeps dependencies of replaced data": function () {
+            this.app.data("tweets", this.spy(), { depends: ["account"] });
+            this.app.feature("A", this.spy(), { depends: ["tweets"] });
+            this.app.stubData("tweets", ["Hello"]);
+
+            this.app.load();
+
+            assert.equals(this.app.state("A"), "pending");
+        },
+
+        "keeps options of replaced data": function () {
+            this.app.data("tweets", this.spy(), { lazy: false, nullable: true });
+            this.app.stubData("tweets", null);
+
+            this.app.load();
+
+            assert.equals(this.app.calls("tweets"), [[]]);
+            assert.equals(this.app.state("tweets"), "loaded");
+        },
+
+        "does not keep state of replaced data": function () {
+            this.app.data("tweets", this.spy());
+            this.app.feature("A", this.spy(), { depends: ["tweets"] });
+            this.app.load();
+            this.app.remove("A");
+
+            this.app.stubData("tweets", ["Hello"]);
+
+            assert.equals(this.app.calls("tweets"), [[]]);
+            assert(this.app.features.tweets.lazy);
+        },
+
+        "rejects with stubbed error": function () {
+            var error = new Error("Not found"), listener = this.spy();
+            this.app.on("error", listener);
+            this.app.rejectData("tweets", error);
+            this.app.data("tweets", this.spy());
+            this.app.feature("A", this.spy(), { depends: ["tweets"] });
+
+            this.app.load();
+
+            assert.calledOnce(listener);
+            assert.same(listener.args[0][1], error);
+            assert.equals(this.app.state("tweets"), "failed");
+        }
+    },
+
+    "recording calls": {
+        "records arguments of feature calls": function () {
+            this.app.env("account", "cjno");
+            this.app.feature("A", function () {}, {
+                elements: "something",
+                depends: ["account"]
+            });
+
+            this.app.load(this.root);
+
+            assert.equals(this.app.calls("A"), [[this.something, "cjno", {}]]);
+        },
+
+        "records arguments of data calls": function () {
+            this.app.env("account", "cjno");
+            this.app.stubData("tweets", []);
+            this.app.data("tweets", this.spy(), { depends: ["account"] });
+            this.app.feature("A", function () {}, { depends: ["tweets"] });
+
+            this.app.load();
+
+            assert.equals(this.app.calls("tweets"), [["cjno"]]);
+        },
+
+        "records features registered with named function": function () {
+            this.app.feature(function tweetui() {});
+
+            this.app.load();
+
+            assert.equals(this.app.calls("tweetui"), [[]]);
+        },
+
+        "records calls to action produced by loader": function () {
+            var action = this.spy();
+            this.app.env("account", "cjno");
+            this.app.feature("A", null, {
+                depends: ["account"],
+                loader: function () { return action; }
+            });
+
+            this.app.load();
+
+            assert.calledOnceWith(action, "cjno");
+            assert.equals(this.app.calls("A"), [["cjno"]]);
+        },
+
+        "records calls to loaded action once after replacing": function () {
+            var action = this.spy();
+            this.app.feature("A", null, {
+                loader: function () { return action; }
+            });
+            this.app.load();
+
+            this.app.replace("A", null);
+
+            assert.calledTwice(action);
+            assert.equals(this.app.calls("A"), [[], []]);
+        },
+
+        "returns no calls for uncalled feature": function () {
+            this.app.feature("A", function () {}, { depends: ["missing"] });
+
+            this.app.load();
+
+            assert.equals(this.app.calls("A"), []);
+        },
+
+        "calls original function": function () {
+            var feature = this.stub().returns(42), dependent = this.spy();
+            this.app.feature("A", feature);
+            this.app.feature("B", dependent, { depends: ["A"] });
+
+            this.app.load();
+
+            assert.calledOnce(feature);
+            assert.calledOnceWith(dependent, 42);
+        }
+    },
+
+    "state": {
+        "returns state of feature": function () {
+            this.app.feature("A", function () {});
+            this.app.feature("B", function () {}, { depends: ["missing"] });
+            this.app.feature("C", function () { throw new Error("Oops"); });
+
+            this.app.load();
+
+            assert.equals(this.app.state("A"), "loaded");
+            assert.equals(this.app.state("B"), "pending");
+            assert.equals(this.app.state("C"), "failed");
+            assert.equals(this.app.state("missing"), "unknown");
+        }
+    },
+
+    "flushing": {
+        "resolves when app is idle": function (done) {
+            this.app.feature("A", this.spy());
+
+            this.app.load();
+
+            this.app.flush().then(function () {
+                done();
+            });
+        },
+
+        "waits for pending data and features": function () {
+            var data = when.defer(), feature = when.defer();
+            var flushed = this.spy(), dependent = this.spy();
+            this.app.data("A", this.stub().returns(data.promise));
+            this.app.feature("B", this.stub().returns(feature.promise), {
+                depends: ["A"]
+            });
+            this.app.feature("C", dependent, { depends: ["B"] });
+            this.app.load();
+
+            this.app.flush().then(flushed);
+            data.resolve(42);
+            refute.called(flushed);
+            feature.resolve(21);
+
+            assert.calledOnce(flushed);
+            assert.calledOnceWith(dependent, 21);
+        },
+
+        "waits for rejected promises": function () {
+            var data = when.defer(), flushed = this.spy();
+            this.app.data("A", this.stub().returns(data.promise));
+            this.app.feature("B", this.spy(), { depends: ["A"] });
+            this.app.load();
+
+            this.app.flush().then(flushed);
+            data.reject(new Error("Oops"));
+
+            assert.calledOnce(flushed);
+        }
+    }
+});